@@ -10,6 +10,12 @@ const TransformService = require('../services/transformService');
 const AnalysisService = require('../services/analysisService');
 const MigrationService = require('../services/migrationService');
 const AutoMapService = require('../services/autoMapService');
+const JobService = require('../services/jobService');
+const JournalService = require('../services/journalService');
+const PreflightService = require('../services/preflightService');
+const TargetDefinitionService = require('../services/targetDefinitionService');
+const InventoryService = require('../services/inventoryService');
+const CoverageService = require('../services/coverageService');
 
 // Setup Multer for uploads
 const upload = multer({ dest: path.join(__dirname, '../uploads/') });
@@ -22,7 +28,12 @@ const packageService = new PackageService(
 const treeService = new TreeService();
 const transformService = new TransformService();
 const analysisService = new AnalysisService();
-const autoMapService = new AutoMapService();
+// One knowledge base for auto-mapping, the routes and migrations, so their updates are queued together
+const knowledgeService = MigrationService.knowledgeService;
+const autoMapService = new AutoMapService(knowledgeService);
+const journalService = new JournalService();
+const targetDefinitionService = new TargetDefinitionService();
+const inventoryService = new InventoryService();
 
 // Routes
 
@@ -47,6 +58,7 @@ router.post('/upload', upload.single('package'), async (req, res) => {
 // 1.5 Auto Map
 router.post('/auto-map', upload.fields([
     { name: 'targetDefinitions', maxCount: 1 },
+    { name: 'targetPackages', maxCount: 10 },
     { name: 'analysisReport', maxCount: 1 }
 ]), async (req, res) => {
     try {
@@ -54,12 +66,21 @@ router.post('/auto-map', upload.fields([
         let analysisReportPath = null;
 
         // Validations
-        if (!req.files || !req.files.targetDefinitions) {
-            // If manual upload, check files. If uploadId, we still need targetDefinitions file.
-            return res.status(400).json({ error: 'Target Definitions file is required' });
+        if (!req.files || (!req.files.targetDefinitions && !req.files.targetPackages)) {
+            // If manual upload, check files. If uploadId, we still need the target definitions.
+            return res.status(400).json({ error: 'Target Definitions file or target code packages are required' });
         }
 
-        const targetDefPath = req.files.targetDefinitions[0].path;
+        let targetDefPath;
+        let definitionWarnings = [];
+        if (req.files.targetDefinitions) {
+            targetDefPath = req.files.targetDefinitions[0].path;
+        } else {
+            // Derived from the target project's ui.apps / ui.content packages
+            const { definitions, warnings } = await targetDefinitionService.generate(req.files.targetPackages.map(file => file.path));
+            definitionWarnings = warnings;
+            targetDefPath = await targetDefinitionService.writeDefinitions(definitions, Date.now());
+        }
 
         // Case A: Using Uploaded ID (Seamless Flow)
         if (uploadId) {
@@ -98,7 +119,33 @@ router.post('/auto-map', upload.fields([
             analysisReportPath
         );
 
-        res.json({ success: true, data: result });
+        res.json({ success: true, data: result, warnings: definitionWarnings });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 1.6 Target Definitions: derive the auto-map target definitions from the target project's
+// code packages (ui.apps, ui.content, or an "all" package embedding them)
+router.post('/target-definitions', upload.array('packages', 10), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'At least one target code package is required' });
+    }
+
+    try {
+        const { definitions, warnings } = await targetDefinitionService.generate(req.files.map(file => file.path));
+        const filePath = await targetDefinitionService.writeDefinitions(definitions, Date.now());
+        res.json({
+            success: true,
+            data: {
+                definitions,
+                warnings,
+                file: path.basename(filePath),
+                templates: definitions.templatelist.targetTemplates.length,
+                components: definitions.componentlist.targetComponents.length
+            }
+        });
     } catch (error) {
         console.error(error);
         res.status(500).json({ success: false, error: error.message });
@@ -142,8 +189,9 @@ router.get('/analyze/:id', async (req, res) => {
         // Generate Report Files
         // const reportPath = await analysisService.generateMarkdownReport(analysis, req.params.id);
         const csvPath = await analysisService.generateCSVReport(analysis, req.params.id);
+        const propertiesCsvPath = await analysisService.generatePropertyCSVReport(analysis, req.params.id);
 
-        res.json({ success: true, analysis, csvPath });
+        res.json({ success: true, analysis, csvPath, propertiesCsvPath });
 
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -152,21 +200,69 @@ router.get('/analyze/:id', async (req, res) => {
 
 // 3. Run Migration (Preview/DryRun or Real)
 const migrationService = require('../services/migrationService');
+const jobService = new JobService(migrationService, Number(process.env.MIGRATION_JOB_CONCURRENCY) || 1);
+const preflightService = new PreflightService(migrationService);
+const coverageService = new CoverageService(migrationService);
+
+// Shared by /migrate and /jobs: reads the multipart migration form.
+// Returns { error } for invalid input, otherwise the arguments for migrationService.migrate
+function readMigrationRequest(req) {
+    if (!req.file) {
+        return { error: 'Mapping Report file is required' };
+    }
+
+    // 'aem' (default) writes to the target instance, 'package' builds a downloadable content package
+    const mode = req.body.mode || 'aem';
+    // Dry run: report what would change per node without touching any environment
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!['aem', 'package'].includes(mode)) {
+        return { error: `Unknown migration mode: ${mode}` };
+    }
+
+    return {
+        uploadId: req.body.uploadId,
+        mappingReportPath: req.file.path,
+        // When using FormData, objects come as JSON strings
+        targetConfig: JSON.parse(req.body.targetConfig),
+        options: { mode, dryRun }
+    };
+}
 
 // 3. Run Migration
+// Coverage gate for runs that write: below targetConfig.coverageThreshold (or the
+// MIGRATION_COVERAGE_THRESHOLD default), in percent of mapped instances, a migration is refused
+// unless overrideCoverage=true in the request body. Returns the error response body, or null to go ahead
+async function checkCoverage(body, params) {
+    const configured = params.targetConfig.coverageThreshold !== undefined
+        ? params.targetConfig.coverageThreshold
+        : process.env.MIGRATION_COVERAGE_THRESHOLD;
+    const threshold = Number(configured) || 0;
+    if (threshold <= 0 || params.options.dryRun) return null;
+    if (body.overrideCoverage === true || body.overrideCoverage === 'true') return null;
+
+    const coverage = await coverageService.forUpload(params.uploadId, params.mappingReportPath);
+    if (coverage.summary.percent >= threshold) return null;
+    return {
+        success: false,
+        error: `Mapping coverage is ${coverage.summary.percent}%, below the threshold of ${threshold}%. ` +
+            'Map the missing templates and components, or send overrideCoverage=true to migrate anyway.',
+        coverage
+    };
+}
+
 router.post('/migrate', upload.single('mappingReport'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, error: 'Mapping Report file is required' });
+        const params = readMigrationRequest(req);
+        if (params.error) {
+            return res.status(400).json({ success: false, error: params.error });
+        }
+        const refused = await checkCoverage(req.body || {}, params);
+        if (refused) {
+            return res.status(400).json(refused);
         }
 
-        const mappingReportPath = req.file.path;
-
-        // When using FormData, objects come as JSON strings
-        const targetConfig = JSON.parse(req.body.targetConfig);
-        const uploadId = req.body.uploadId;
-
-        const results = await migrationService.migrate(uploadId, mappingReportPath, targetConfig);
+        const results = await migrationService.migrate(params.uploadId, params.mappingReportPath, params.targetConfig, params.options);
 
         res.json({ success: true, results });
 
@@ -176,6 +272,278 @@ router.post('/migrate', upload.single('mappingReport'), async (req, res) => {
     }
 });
 
+// 3.0.1 Pre-flight: check the target instance against the mapping report before migrating.
+// Same form fields as /migrate; ok is false when any check failed
+router.post('/preflight', upload.single('mappingReport'), async (req, res) => {
+    try {
+        const params = readMigrationRequest(req);
+        if (params.error) {
+            return res.status(400).json({ success: false, error: params.error });
+        }
+
+        const preflight = await preflightService.run(params.mappingReportPath, params.targetConfig);
+        res.json({ success: true, preflight });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 3.0.2 Mapping coverage: unmapped templates and components (with instance counts and pages)
+// and properties of mapped components no rule reads
+router.post('/coverage/:id', upload.single('mappingReport'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Mapping Report file is required' });
+    }
+
+    try {
+        const coverage = await coverageService.forUpload(req.params.id, req.file.path);
+        const csvPath = await coverageService.generateCSVReport(coverage, req.params.id);
+        res.json({ success: true, coverage, csvPath });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 3.0.3 Page inventory: every page of an uploaded package with a complexity score, rolled up per
+// template. With a mappingReport, components and templates it does not map are listed and scored
+router.post('/inventory/:id', upload.single('mappingReport'), async (req, res) => {
+    try {
+        const jcrRoot = path.join(__dirname, '../../extraction/', req.params.id, 'jcr_root');
+        if (!fs.existsSync(jcrRoot)) {
+            return res.status(404).json({ error: 'Package not found or invalid' });
+        }
+
+        const tree = await treeService.buildTree(jcrRoot);
+        const mappings = req.file ? await migrationService.parseMappingReport(req.file.path) : null;
+        const inventory = inventoryService.buildInventory(tree, mappings);
+        const reports = await inventoryService.generateCSVReports(inventory, req.params.id);
+
+        res.json({ success: true, inventory, ...reports });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 3.0.4 Mapping knowledge base: approved mappings and synonyms consulted by auto-mapping
+router.get('/knowledge', async (req, res) => {
+    try {
+        res.json({ success: true, knowledge: await knowledgeService.load() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Feeds the knowledge base with a finalized mapping report
+router.post('/knowledge/import', upload.single('mappingReport'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Mapping Report file is required' });
+    }
+
+    try {
+        const mappings = await migrationService.parseMappingReport(req.file.path);
+        const learned = await knowledgeService.learn(mappings);
+        res.json({ success: true, learned });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: { "components": [["textimage", "teaser"]], "templates": [...], "properties": [...], "replaceDefaults": false }
+router.put('/knowledge/synonyms', async (req, res) => {
+    try {
+        const synonyms = await knowledgeService.writeSynonyms(req.body || {});
+        res.json({ success: true, synonyms });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// 3.1 Download a package produced by an offline ('package' mode) migration
+router.get('/packages/:fileName', (req, res) => {
+    const fileName = path.basename(req.params.fileName);
+    const packagePath = path.join(__dirname, '../../packages/', fileName);
+
+    if (!fileName.endsWith('.zip') || !fs.existsSync(packagePath)) {
+        return res.status(404).json({ success: false, error: 'Package not found' });
+    }
+
+    res.download(packagePath);
+});
+
+// 4. Migration Jobs (asynchronous migrations)
+
+// 4.1 Submit a migration as a background job; same form fields as /migrate
+router.post('/jobs', upload.single('mappingReport'), async (req, res) => {
+    try {
+        const params = readMigrationRequest(req);
+        if (params.error) {
+            return res.status(400).json({ success: false, error: params.error });
+        }
+
+        const refused = await checkCoverage(req.body || {}, params);
+        if (refused) {
+            return res.status(400).json(refused);
+        }
+
+        const job = jobService.submit(params);
+        res.status(202).json({ success: true, jobId: job.id, job });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 4.2 List jobs
+router.get('/jobs', (req, res) => {
+    res.json({ success: true, jobs: jobService.list() });
+});
+
+// 4.3 Job status: counts, current path, ETA and results once finished
+router.get('/jobs/:id', (req, res) => {
+    const job = jobService.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job: jobService.toJSON(job), logs: job.logs });
+});
+
+// 4.4 Live progress and log lines as Server-Sent Events
+const SSE_HEARTBEAT_MS = 15000;
+router.get('/jobs/:id/events', (req, res) => {
+    const job = jobService.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Replay what happened so far, then stream
+    send('status', jobService.toJSON(job));
+    job.logs.forEach(line => send('log', line));
+
+    if (jobService.isFinished(job)) {
+        send('done', jobService.toJSON(job));
+        return res.end();
+    }
+
+    // Comment lines keep idle proxies from closing the stream while a node takes long
+    const heartbeat = setInterval(() => res.write(':\n\n'), SSE_HEARTBEAT_MS);
+
+    const listeners = {
+        status: (data) => send('status', data),
+        progress: (data) => send('progress', data),
+        log: (data) => send('log', data),
+        done: (data) => {
+            clearInterval(heartbeat);
+            send('done', data);
+            res.end();
+        }
+    };
+    Object.entries(listeners).forEach(([event, listener]) => job.events.on(event, listener));
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        Object.entries(listeners).forEach(([event, listener]) => job.events.off(event, listener));
+    });
+});
+
+// 4.5 Cancel a queued or running job (running jobs stop between nodes)
+router.post('/jobs/:id/cancel', (req, res) => {
+    const job = jobService.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.json({ success: true, job });
+});
+
+// 5. Migration Runs (journal of every run that wrote to AEM)
+
+// 5.1 List runs
+router.get('/migrations', async (req, res) => {
+    try {
+        res.json({ success: true, migrations: await journalService.list() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 5.2 Run details with a summary combined over all attempts
+router.get('/migrations/:id', async (req, res) => {
+    try {
+        if (!journalService.exists(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Migration not found' });
+        }
+
+        const migration = await journalService.readMeta(req.params.id);
+        const summary = await journalService.summarize(req.params.id);
+        res.json({ success: true, migration, summary });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 5.3 Resume a failed or cancelled run as a new job.
+// Body: { targetConfig: { username, password, ... }, retryFailedOnly: boolean }
+router.post('/migrations/:id/resume', async (req, res) => {
+    try {
+        if (!journalService.exists(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Migration not found' });
+        }
+        // Two writers on one run would interleave their journal lines and race on the target
+        const activeJob = jobService.activeRun(req.params.id);
+        if (activeJob) {
+            return res.status(409).json({ success: false, error: `Migration is still being written by job ${activeJob.id}`, jobId: activeJob.id });
+        }
+
+        const body = req.body || {};
+        const targetConfig = typeof body.targetConfig === 'string' ? JSON.parse(body.targetConfig) : (body.targetConfig || {});
+        const retryFailedOnly = body.retryFailedOnly === true || body.retryFailedOnly === 'true';
+
+        const params = await migrationService.prepareResume(req.params.id, targetConfig, retryFailedOnly);
+        const refused = await checkCoverage(body, params);
+        if (refused) {
+            return res.status(400).json(refused);
+        }
+
+        const job = jobService.submit(params);
+        res.status(202).json({ success: true, jobId: job.id, job });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 5.4 Roll back a run: delete the nodes it created and restore the ones it modified.
+// Body: { targetConfig: { username, password, ... } }
+router.post('/migrations/:id/rollback', async (req, res) => {
+    try {
+        if (!journalService.exists(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Migration not found' });
+        }
+        // Two writers on one run would interleave their journal lines and race on the target
+        const activeJob = jobService.activeRun(req.params.id);
+        if (activeJob) {
+            return res.status(409).json({ success: false, error: `Migration is still being written by job ${activeJob.id}`, jobId: activeJob.id });
+        }
+
+        const body = req.body || {};
+        const targetConfig = typeof body.targetConfig === 'string' ? JSON.parse(body.targetConfig) : (body.targetConfig || {});
+
+        const results = await migrationService.rollback(req.params.id, targetConfig);
+        res.json({ success: true, results });
+    } catch (error) {
+        console.error("Rollback failed:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 
 
 module.exports = router;
@@ -1,8 +1,22 @@
 const fs = require('fs');
 const path = require('path');
+const DialogService = require('./dialogService');
+const { parseValue } = require('../utils/jcrValue');
+const { csvField } = require('../utils/csv');
+
+// Code, not content: component definitions are read for their dialogs instead of counted
+const CODE_ROOTS = ['/apps/', '/libs/'];
+
+// Property profiles: sample values kept, distinct values tracked (beyond that only ">"), and the
+// most distinct values a property may have to be listed with its value counts (enum-like)
+const MAX_SAMPLES = 3;
+const MAX_DISTINCT = 50;
+const MAX_ENUM_VALUES = 10;
 
 class AnalysisService {
-    constructor() { }
+    constructor() {
+        this.dialogService = new DialogService();
+    }
 
     /**
      * Traverses the tree (from TreeService) and aggregates usage stats.
@@ -12,7 +26,8 @@ class AnalysisService {
     analyze(rootNode) {
         const report = {
             templates: {}, // Map<templatePath, { count: number, properties: Set<string> }>
-            components: {} // Map<resourceType, { count: number, properties: Set<string> }>
+            components: {}, // Map<resourceType, { count: number, properties: Set<string> }>
+            codeNodes: new Map() // Nodes under /apps and /libs by path
         };
 
         this.traverse(rootNode, report);
@@ -23,13 +38,20 @@ class AnalysisService {
     traverse(node, report) {
         if (!node) return;
 
+        if (CODE_ROOTS.some(root => node.path.startsWith(root))) {
+            report.codeNodes.set(node.path, node);
+            (node.children || []).forEach(child => this.traverse(child, report));
+            return;
+        }
+
         // 1. Check for Template
         if (node.properties && node.properties['cq:template']) {
             const tpl = node.properties['cq:template'];
             if (!report.templates[tpl]) {
-                report.templates[tpl] = { count: 0, properties: new Set() };
+                report.templates[tpl] = { count: 0, properties: new Set(), profiles: new Map() };
             }
             report.templates[tpl].count++;
+            this.profileProperties(report.templates[tpl].profiles, node.properties);
 
             // Collect properties for this template usage
             Object.keys(node.properties).forEach(prop => {
@@ -46,12 +68,14 @@ class AnalysisService {
             if (!report.components[rt]) {
                 report.components[rt] = {
                     count: 0,
-                    properties: new Set()
+                    properties: new Set(),
+                    profiles: new Map()
                 };
             }
 
             // Increment count
             report.components[rt].count++;
+            this.profileProperties(report.components[rt].profiles, node.properties);
 
             // Collect all property keys found on this component instance
             // We exclude standard JCR/Sling properties to reduce noise if desired, 
@@ -89,7 +113,8 @@ class AnalysisService {
             formatted.templates.push({
                 template: tpl,
                 count: data.count,
-                properties: Array.from(data.properties).sort()
+                properties: Array.from(data.properties).sort(),
+                profile: this.formatProfiles(data.profiles)
             });
         });
 
@@ -99,13 +124,123 @@ class AnalysisService {
             formatted.components.push({
                 resourceType: rt,
                 count: data.count,
-                properties: Array.from(data.properties).sort()
+                properties: Array.from(data.properties).sort(),
+                profile: this.formatProfiles(data.profiles),
+                definition: this.componentDefinition(rt, report.codeNodes)
             });
         });
 
         return formatted;
     }
 
+    // Adds one instance's property values to the profiles of its template or component
+    profileProperties(profiles, properties) {
+        Object.entries(properties).forEach(([name, raw]) => {
+            if (!profiles.has(name)) {
+                profiles.set(name, { count: 0, empty: 0, multiple: 0, types: new Map(), values: new Map(), distinctCapped: false, samples: [], maxLength: 0 });
+            }
+            const profile = profiles.get(name);
+            const parsed = parseValue(raw);
+            profile.count++;
+            if (parsed.multiple) profile.multiple++;
+
+            const values = parsed.values.filter(value => value !== '');
+            if (values.length === 0) profile.empty++;
+            values.forEach(value => {
+                const type = this.inferType(parsed.type, value);
+                profile.types.set(type, (profile.types.get(type) || 0) + 1);
+                profile.maxLength = Math.max(profile.maxLength, value.length);
+
+                if (profile.values.has(value)) {
+                    profile.values.set(value, profile.values.get(value) + 1);
+                } else if (profile.values.size < MAX_DISTINCT) {
+                    profile.values.set(value, 1);
+                    if (profile.samples.length < MAX_SAMPLES) profile.samples.push(value.length > 100 ? `${value.substring(0, 100)}...` : value);
+                } else {
+                    profile.distinctCapped = true;
+                }
+            });
+        });
+    }
+
+    /**
+     * Declared docview types win; plain strings are recognized as HTML, paths, dates, booleans
+     * and numbers by their content.
+     * @returns {string} string, html, path, date, boolean, long, double, decimal, name, reference, uri or binary
+     */
+    inferType(declaredType, value) {
+        if (declaredType !== 'String') {
+            return { Path: 'path', WeakReference: 'reference' }[declaredType] || declaredType.toLowerCase();
+        }
+        if (/<\/?[a-z][a-z0-9]*(\s[^>]*)?\/?>/i.test(value)) return 'html';
+        if (/^\/[^\s<>]*$/.test(value) && value.length > 1) return 'path';
+        if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) return 'date';
+        if (value === 'true' || value === 'false') return 'boolean';
+        if (/^-?\d+$/.test(value)) return 'long';
+        if (/^-?\d*\.\d+$/.test(value)) return 'double';
+        return 'string';
+    }
+
+    // Profiles as reported: the most frequent type wins, value counts only for enum-like properties
+    formatProfiles(profiles) {
+        const formatted = {};
+        [...profiles.keys()].sort().forEach(name => {
+            const profile = profiles.get(name);
+            const types = [...profile.types.entries()].sort((a, b) => b[1] - a[1]);
+            const distinct = profile.values.size;
+            const occurrences = [...profile.values.values()].reduce((sum, count) => sum + count, 0);
+            // Few short values that repeat; unique values, dates and markup are not choices
+            const enumLike = !profile.distinctCapped && distinct > 0 && distinct <= MAX_ENUM_VALUES &&
+                occurrences > distinct && profile.maxLength <= 50 && !['html', 'date'].includes(types[0][0]);
+            formatted[name] = {
+                count: profile.count,
+                empty: profile.empty,
+                type: types.length ? types[0][0] : 'string',
+                types: Object.fromEntries(types),
+                multiple: profile.multiple > 0,
+                distinct,
+                distinctCapped: profile.distinctCapped,
+                maxLength: profile.maxLength,
+                samples: profile.samples,
+                values: enumLike
+                    ? Object.fromEntries([...profile.values.entries()].sort((a, b) => b[1] - a[1]))
+                    : null
+            };
+        });
+        return formatted;
+    }
+
+    /**
+     * The component's definition when the package contains it (under /apps or /libs): title, group,
+     * super type chain and the fields of its dialog, including those inherited from super types.
+     * @returns {Object|null}
+     */
+    componentDefinition(resourceType, codeNodes) {
+        const converted = new Map();
+        const nodeAt = (nodePath) => {
+            if (!codeNodes.has(nodePath)) return undefined;
+            if (!converted.has(nodePath)) converted.set(nodePath, this.dialogService.fromTreeNode(codeNodes.get(nodePath)));
+            return converted.get(nodePath);
+        };
+        const value = (node, name) => node[name] === undefined ? null : parseValue(node[name]).values[0];
+
+        const candidates = resourceType.startsWith('/') ? [resourceType] : [`/apps/${resourceType}`, `/libs/${resourceType}`];
+        const componentPath = candidates.find(candidate => nodeAt(candidate) && value(nodeAt(candidate), 'jcr:primaryType') === 'cq:Component');
+        if (!componentPath) return null;
+
+        const component = nodeAt(componentPath);
+        const dialog = this.dialogService.componentDialog(componentPath, nodeAt);
+        return {
+            path: componentPath,
+            title: value(component, 'jcr:title'),
+            componentGroup: value(component, 'componentGroup'),
+            superTypes: dialog.superTypes,
+            unresolvedSuperType: dialog.unresolvedSuperType,
+            dialogType: dialog.dialogType,
+            fields: dialog.fields
+        };
+    }
+
     async generateMarkdownReport(analysisData, packageId, outputRootDir) {
         let md = `# Package Analysis Report\n\n`;
         md += `**Package ID:** ${packageId}\n`;
@@ -147,24 +282,32 @@ class AnalysisService {
     }
 
     async generateCSVReport(analysisData, packageId) {
-        let csv = `Category,Item,UsageCount,Properties\n`;
+        // Dialog columns hold "name=value" entries, separated like Properties
+        const header = ['Category', 'Item', 'UsageCount', 'Properties', 'Title', 'SuperTypes', 'DialogType', 'FieldTypes', 'FieldLabels', 'RequiredFields'];
+        const rows = [header];
 
-        // Templates
-        if (analysisData.templates.length > 0) {
-            analysisData.templates.forEach(t => {
-                const props = t.properties ? t.properties.join('; ') : '';
-                csv += `Template,"${t.template}",${t.count},"${props}"\n`;
-            });
-        }
+        analysisData.templates.forEach(t => {
+            rows.push(['Template', t.template, t.count, t.properties ? t.properties.join('; ') : '']);
+        });
 
-        // Components
-        if (analysisData.components.length > 0) {
-            analysisData.components.forEach(comp => {
-                // Escape quotes in properties if needed, though they shouldn't have any usually
-                const props = comp.properties.join('; ');
-                csv += `Component,"${comp.resourceType}",${comp.count},"${props}"\n`;
-            });
-        }
+        analysisData.components.forEach(comp => {
+            const definition = comp.definition;
+            const fields = definition ? definition.fields : [];
+            rows.push([
+                'Component',
+                comp.resourceType,
+                comp.count,
+                comp.properties.join('; '),
+                definition ? definition.title || '' : '',
+                definition ? definition.superTypes.join(' > ') : '',
+                definition ? definition.dialogType || '' : '',
+                fields.filter(field => field.type).map(field => `${field.name}=${field.type}`).join('; '),
+                fields.filter(field => field.label).map(field => `${field.name}=${field.label}`).join('; '),
+                fields.filter(field => field.required).map(field => field.name).join('; ')
+            ]);
+        });
+
+        const csv = rows.map(row => header.map((column, i) => csvField(row[i])).join(',')).join('\n') + '\n';
 
         const fileName = `analysis_report_${packageId}.csv`;
         const outputPath = path.join(__dirname, '../../', fileName);
@@ -172,6 +315,42 @@ class AnalysisService {
         await fs.promises.writeFile(outputPath, csv, 'utf8');
         return outputPath;
     }
+
+    /**
+     * One row per property of each template and component: how many instances set it, its
+     * type, distinct values and samples. Written next to the analysis report.
+     */
+    async generatePropertyCSVReport(analysisData, packageId) {
+        const header = ['Category', 'Item', 'Property', 'Instances', 'UsageCount', 'Empty', 'Type', 'MultiValue', 'Distinct', 'MaxLength', 'Values', 'Samples'];
+        const rows = [header];
+        const addRows = (category, item, entry) => {
+            Object.entries(entry.profile || {}).forEach(([name, profile]) => {
+                rows.push([
+                    category,
+                    item,
+                    name,
+                    profile.count,
+                    entry.count,
+                    profile.empty,
+                    profile.type,
+                    profile.multiple ? 'true' : 'false',
+                    profile.distinctCapped ? `>${profile.distinct}` : profile.distinct,
+                    profile.maxLength,
+                    profile.values ? Object.entries(profile.values).map(([value, count]) => `${value}=${count}`).join('; ') : '',
+                    profile.samples.join(' | ')
+                ]);
+            });
+        };
+
+        analysisData.templates.forEach(t => addRows('Template', t.template, t));
+        analysisData.components.forEach(comp => addRows('Component', comp.resourceType, comp));
+
+        const csv = rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+        const outputPath = path.join(__dirname, '../../', `analysis_properties_${packageId}.csv`);
+
+        await fs.promises.writeFile(outputPath, csv, 'utf8');
+        return outputPath;
+    }
 }
 
 module.exports = AnalysisService;
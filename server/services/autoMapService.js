@@ -1,8 +1,16 @@
 const fs = require('fs');
 const path = require('path');
+const { parseCsvRecords, csvField } = require('../utils/csv');
+const { maximumAssignment } = require('../utils/assignment');
+const KnowledgeService = require('./knowledgeService');
 
 class AutoMapService {
-    constructor() { }
+    /**
+     * @param {KnowledgeService} [knowledgeService] - Approved mappings and synonyms, consulted before fuzzy matching.
+     */
+    constructor(knowledgeService = new KnowledgeService()) {
+        this.knowledgeService = knowledgeService;
+    }
 
     async generateMappings(targetDefinitionsFile, analysisCsvFile) {
         // 1. Parse Input Files
@@ -16,11 +24,13 @@ class AutoMapService {
         const targetComponents = (targetData.componentlist || targetData.componentList) ?
             (targetData.componentlist || targetData.componentList).targetComponents : [];
 
+        const knowledge = await this.knowledgeService.load();
+
         // 2. Match Templates
-        const templateMappings = this.matchTemplates(sourceData.templates, targetTemplates);
+        const templateMappings = this.matchTemplates(sourceData.templates, targetTemplates, knowledge);
 
         // 3. Match Components
-        const componentMappings = this.matchComponents(sourceData.components, targetComponents);
+        const componentMappings = this.matchComponents(sourceData.components, targetComponents, knowledge);
 
         // 4. Generate Reports
         const reports = await this.generateReports(templateMappings, componentMappings);
@@ -34,81 +44,46 @@ class AutoMapService {
         };
     }
 
+    /**
+     * Reads the analysis report by column name. Components carry the fields of their source
+     * dialog when the report has the dialog columns (FieldTypes, FieldLabels, RequiredFields).
+     */
     async parseAnalysisCSV(filePath) {
-        const content = await fs.promises.readFile(filePath, 'utf8');
-        const lines = content.split('\n');
+        const { records } = parseCsvRecords(await fs.promises.readFile(filePath, 'utf8'));
         const templates = [];
         const components = [];
 
-        // Skip header
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            const parts = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g);
-            if (!parts) continue;
-
-            // Robust parsing
-            const firstComma = line.indexOf(',');
-            if (firstComma === -1) continue;
+        const list = (value) => value.split(';').map(p => p.trim()).filter(Boolean);
+        // "name=value; name2=value2"
+        const entries = (value) => new Map(list(value).map(entry => {
+            const separator = entry.indexOf('=');
+            return separator < 0 ? [entry, ''] : [entry.substring(0, separator).trim(), entry.substring(separator + 1).trim()];
+        }));
 
-            const category = line.substring(0, firstComma);
-            // Remainder after Category,
-            const afterCategory = line.substring(firstComma + 1);
-
-            let item = '';
-            let remainder = '';
-
-            if (afterCategory.trim().startsWith('"')) {
-                // Item is quoted
-                const openQuote = afterCategory.indexOf('"');
-                const closeQuote = afterCategory.indexOf('"', openQuote + 1);
-                if (closeQuote > -1) {
-                    item = afterCategory.substring(openQuote + 1, closeQuote);
-                    remainder = afterCategory.substring(closeQuote + 1); // ,Usage,"Props"
-                }
-            } else {
-                // Item is not quoted
-                const nextComma = afterCategory.indexOf(',');
-                if (nextComma > -1) {
-                    item = afterCategory.substring(0, nextComma);
-                    remainder = afterCategory.substring(nextComma);
-                } else {
-                    // unexpected end of line?
-                    item = afterCategory;
-                }
-            }
+        records.forEach(record => {
+            const category = record.get('Category');
+            const item = record.get('Item');
+            const properties = list(record.get('Properties'));
 
             if (category === 'Template') {
-                const lastQuoteEnd = remainder.lastIndexOf('"');
-                const lastQuoteStart = remainder.lastIndexOf('"', lastQuoteEnd - 1);
-
-                let properties = [];
-                if (lastQuoteStart > -1) {
-                    const propsStr = remainder.substring(lastQuoteStart + 1, lastQuoteEnd);
-                    properties = propsStr.split(';').map(p => p.trim());
-                }
-
-                templates.push({
-                    path: item,
-                    properties: properties
-                });
+                templates.push({ path: item, properties });
             } else if (category === 'Component') {
-                const lastQuoteEnd = remainder.lastIndexOf('"');
-                const lastQuoteStart = remainder.lastIndexOf('"', lastQuoteEnd - 1);
-
-                let properties = [];
-                if (lastQuoteStart > -1) {
-                    const propsStr = remainder.substring(lastQuoteStart + 1, lastQuoteEnd);
-                    properties = propsStr.split(';').map(p => p.trim());
-                }
-
+                const types = entries(record.get('FieldTypes'));
+                const labels = entries(record.get('FieldLabels'));
+                const required = new Set(list(record.get('RequiredFields')));
+                const names = new Set([...types.keys(), ...labels.keys(), ...required]);
                 components.push({
                     path: item,
-                    properties: properties
+                    properties,
+                    fields: [...names].map(name => ({
+                        name,
+                        type: types.get(name) || null,
+                        label: labels.get(name) || null,
+                        required: required.has(name)
+                    }))
                 });
             }
-        }
+        });
 
         return { templates, components };
     }
@@ -123,172 +98,254 @@ class AutoMapService {
     // Threshold for accepting a match
     matchThreshold = 60;
 
-    matchTemplates(sourceTemplates, targetTemplates) {
-        const results = [];
-
-        sourceTemplates.forEach(source => {
-            let bestMatch = null;
-            let bestScore = -1;
-
-            if (targetTemplates && Array.isArray(targetTemplates)) {
-                targetTemplates.forEach(target => {
-                    // target format: { "targetTemplate": "/path", "pageProperties": [...] }
-                    const targetPath = target.targetTemplate;
-
-                    if (targetPath) {
-                        const score = this.calculateScore(source.path, targetPath);
-                        if (score > bestScore) {
-                            bestScore = score;
-                            bestMatch = targetPath;
-                        }
-                    }
-                });
-            }
+    // Score given to a pair approved in an earlier project, and to names that are synonyms
+    knowledgeScore = 100;
+    synonymScore = 85;
+
+    // Threshold for mapping a property (slightly looser than components to be helpful)
+    propertyThreshold = 50;
 
-            // Apply threshold
-            const finalMatch = (bestScore >= this.matchThreshold) ? bestMatch : 'no match found';
+    // Other targets listed per template and component, and the least score worth listing
+    alternativeCount = 3;
+    alternativeThreshold = 30;
+
+    matchTemplates(sourceTemplates, targetTemplates, knowledge = null) {
+        const targets = Array.isArray(targetTemplates) ? targetTemplates.filter(t => t.targetTemplate) : [];
+
+        return sourceTemplates.map(source => {
+            // Approved before: the most used target the target project still has
+            const known = this.knowledgeService.knownTarget(knowledge, 'templates', source.path, targets.map(t => t.targetTemplate));
+
+            // target format: { "targetTemplate": "/path", "pageProperties": [...] }
+            const candidates = this.rank(targets.map(target => {
+                const targetPath = target.targetTemplate;
+                if (targetPath === known) {
+                    return { target, targetPath, score: this.knowledgeScore, matchedBy: 'knowledge' };
+                }
+                const synonym = this.knowledgeService.areSynonyms(knowledge, 'templates', source.path, targetPath);
+                const score = synonym
+                    ? Math.max(this.synonymScore, this.calculateScore(source.path, targetPath))
+                    : this.calculateScore(source.path, targetPath);
+                return { target, targetPath, score, matchedBy: synonym ? 'synonym' : 'name' };
+            }));
+            const { best, match, alternatives } = this.choose(candidates);
 
             // Auto-map properties if match found
             let propMap = {};
-            if (finalMatch !== 'no match found' && targetTemplates) {
-                // Find the target object again to get its properties
-                // This is slightly inefficient but safe. 
-                const targetObj = targetTemplates.find(t => t.targetTemplate === finalMatch);
-                if (targetObj && targetObj.pageProperties) {
-                    propMap = this.matchProperties(source.properties, targetObj.pageProperties);
-                }
+            if (match && match.target.pageProperties) {
+                propMap = this.matchProperties(source.properties, match.target.pageProperties, {
+                    knowledge, source: source.path, target: match.targetPath
+                });
             }
 
-            results.push({
+            return {
                 source: source.path,
-                target: finalMatch,
-                score: bestScore,
+                target: match ? match.targetPath : 'no match found',
+                score: best ? best.score : -1,
                 mapping: {
                     sourceTemplate: source.path,
-                    targetTemplate: finalMatch === 'no match found' ? '' : finalMatch,
-                    propertyMappings: propMap
+                    targetTemplate: match ? match.targetPath : '',
+                    propertyMappings: propMap,
+                    matchedBy: match ? match.matchedBy : null,
+                    confidence: match ? this.confidence(match.score) : null,
+                    alternatives
                 }
-            });
+            };
         });
-
-        return results;
     }
 
-    matchComponents(sourceComponents, targetComponents) {
-        const results = [];
+    matchComponents(sourceComponents, targetComponents, knowledge = null) {
+        const targets = Array.isArray(targetComponents) ? targetComponents.filter(t => t.targetComponent) : [];
 
-        sourceComponents.forEach(source => {
+        return sourceComponents.map(source => {
             // source is { path: "...", properties: [...] }
-            let bestMatch = null;
-            let bestScore = -1;
-            let matchedTargetObj = null;
-
-            if (targetComponents && Array.isArray(targetComponents)) {
-                targetComponents.forEach(target => {
-                    // target format: { "targetComponent": "path", "properties": [...] }
-                    const targetPath = target.targetComponent;
-
-                    if (targetPath) {
-                        // 1. Name Score - prioritizing the component name (last part of path)
-                        let score = this.calculateScore(source.path, targetPath);
-
-                        // 2. Extra bonus for key component naming patterns (e.g., text, image, title)
-                        const sourceName = path.basename(source.path).toLowerCase().replace(/"/g, '');
-                        const targetName = path.basename(targetPath).toLowerCase();
-
-                        if (sourceName === targetName) {
-                            score += 20; // significant boost for exact name match
-                        }
-
-                        // 3. Property Overlap Bonus
-                        // target properties is now an array of strings like ["jcr:title", ...]
-                        if (target.properties && Array.isArray(target.properties) && source.properties) {
-                            const overlap = source.properties.filter(p => target.properties.includes(p)).length;
-                            // Small boost per property, capped
-                            score += Math.min(overlap * 2, 20);
-                        }
-
-                        if (score > bestScore) {
-                            bestScore = score;
-                            bestMatch = targetPath;
-                            matchedTargetObj = target;
-                        }
-                    }
-                });
-            }
+            // Approved before: the most used target the target project still has
+            const known = this.knowledgeService.knownTarget(knowledge, 'components', source.path, targets.map(t => t.targetComponent));
+
+            // target format: { "targetComponent": "path", "properties": [...] }
+            const candidates = this.rank(targets.map(target => {
+                const targetPath = target.targetComponent;
+                if (targetPath === known) {
+                    return { target, targetPath, score: this.knowledgeScore, matchedBy: 'knowledge' };
+                }
+
+                // 1. Name Score - prioritizing the component name (last part of path),
+                // at least the synonym score for names in the same synonym group
+                const synonym = this.knowledgeService.areSynonyms(knowledge, 'components', source.path, targetPath);
+                let score = this.calculateScore(source.path, targetPath);
+                if (synonym) score = Math.max(score, this.synonymScore);
+
+                // 2. Extra bonus for key component naming patterns (e.g., text, image, title)
+                const sourceName = path.basename(source.path).toLowerCase().replace(/"/g, '');
+                const targetName = path.basename(targetPath).toLowerCase();
+
+                if (sourceName === targetName) {
+                    score += 20; // significant boost for exact name match
+                }
+
+                // 3. Property Overlap Bonus
+                // target properties is now an array of strings like ["jcr:title", ...]
+                if (target.properties && Array.isArray(target.properties) && source.properties) {
+                    const overlap = source.properties.filter(p => target.properties.includes(p)).length;
+                    // Small boost per property, capped
+                    score += Math.min(overlap * 2, 20);
+                }
 
-            // Apply Threshold
-            const finalMatch = (bestScore >= this.matchThreshold) ? bestMatch : 'no match found';
-            const finalTargetObj = (bestScore >= this.matchThreshold) ? matchedTargetObj : null;
+                return { target, targetPath, score, matchedBy: synonym ? 'synonym' : 'name' };
+            }));
+            const { best, match, alternatives } = this.choose(candidates);
 
             // Auto-map properties if match found
             let propMap = {};
-            if (finalTargetObj && finalTargetObj.properties) {
-                // Use fuzzy matching for properties
-                propMap = this.matchProperties(source.properties, finalTargetObj.properties);
+            if (match && match.target.properties) {
+                // Use fuzzy matching for properties, with the dialog fields of both sides when known
+                propMap = this.matchProperties(source.properties, match.target.properties, {
+                    sourceFields: source.fields,
+                    targetFields: match.target.fields,
+                    knowledge,
+                    source: source.path,
+                    target: match.targetPath
+                });
             }
 
-            results.push({
+            return {
                 source: source.path,
-                target: finalMatch,
-                score: bestScore,
+                target: match ? match.targetPath : 'no match found',
+                score: best ? best.score : -1,
                 mapping: {
                     sourceComponent: source.path,
-                    targetComponent: finalMatch === 'no match found' ? '' : finalMatch,
-                    propertyMappings: propMap
+                    targetComponent: match ? match.targetPath : '',
+                    propertyMappings: propMap,
+                    matchedBy: match ? match.matchedBy : null,
+                    confidence: match ? this.confidence(match.score) : null,
+                    alternatives
                 }
-            });
+            };
         });
-
-        return results;
     }
 
-    matchProperties(sourceProps, targetProps) {
-        const mapping = {};
+    // Best first; an approved pair stays ahead of name scores with bonuses above 100
+    rank(candidates) {
+        return candidates.sort((a, b) =>
+            (b.matchedBy === 'knowledge') - (a.matchedBy === 'knowledge') || b.score - a.score);
+    }
 
-        sourceProps.forEach(sourceProp => {
-            let bestPropMatch = null;
-            let bestPropScore = -1;
+    /**
+     * The accepted candidate (the best one, when it reaches the threshold) and the next best as
+     * alternatives: up to alternativeCount with at least alternativeThreshold. Without a match the
+     * best candidates are all alternatives.
+     */
+    choose(candidates) {
+        const best = candidates[0] || null;
+        const match = best && best.score >= this.matchThreshold ? best : null;
+        const alternatives = candidates
+            .filter(candidate => candidate !== match && candidate.score >= this.alternativeThreshold)
+            .slice(0, this.alternativeCount)
+            .map(candidate => ({
+                target: candidate.targetPath,
+                confidence: this.confidence(candidate.score),
+                matchedBy: candidate.matchedBy
+            }));
+        return { best, match, alternatives };
+    }
 
-            targetProps.forEach(targetProp => {
-                let score = 0;
+    // Score -> 0..1; name scores with bonuses can exceed 100
+    confidence(score) {
+        return Math.round(Math.min(Math.max(score, 0), 100)) / 100;
+    }
 
-                // 1. Exact Match
-                if (sourceProp === targetProp) {
-                    score = 100;
-                }
-                // 2. Case-insensitive Match
-                else if (sourceProp.toLowerCase() === targetProp.toLowerCase()) {
-                    score = 90;
-                }
-                // 3. Contains Match (e.g. sitelogo -> logo)
-                else if (sourceProp.toLowerCase().includes(targetProp.toLowerCase()) ||
-                    targetProp.toLowerCase().includes(sourceProp.toLowerCase())) {
-                    score = 70;
-                }
-                // 4. Levenshtein for typos
-                else {
-                    const distance = this.levenshtein(sourceProp.toLowerCase(), targetProp.toLowerCase());
-                    const maxLen = Math.max(sourceProp.length, targetProp.length);
-                    const fuzzyScore = (1 - distance / maxLen) * 60;
-                    score = fuzzyScore;
-                }
+    /**
+     * Maps each source property to at most one target property and each target property to at
+     * most one source property, with the highest total score over all pairs (rather than the best
+     * target per source property, which lets two source properties claim the same target).
+     * @param {Array<string>} sourceProps
+     * @param {Array<string>} targetProps
+     * @param {Object} [context]
+     * @param {Array<Object>} [context.sourceFields] - Source dialog fields ({ name, type, label }).
+     * @param {Array<Object>} [context.targetFields] - Target dialog fields.
+     * @param {Object} [context.knowledge] - From KnowledgeService.load, with context.source and context.target
+     *   (the template or component pair) for the renames approved for that pair.
+     * @returns {Object} { sourceProperty: targetProperty }
+     */
+    matchProperties(sourceProps, targetProps, context = {}) {
+        const { knowledge = null } = context;
+
+        // A rename approved before, for this pair or any other, is kept as it is; scored like an
+        // exact name match, the assignment could trade it for one
+        const known = new Map();
+        sourceProps.forEach(sourceProp => {
+            const targetProp = this.knowledgeService.knownProperty(knowledge, context.source, context.target, sourceProp, targetProps);
+            if (targetProp && ![...known.values()].includes(targetProp)) known.set(sourceProp, targetProp);
+        });
+        const claimed = new Set(known.values());
+        const restSource = sourceProps.filter(sourceProp => !known.has(sourceProp));
+        const restTarget = targetProps.filter(targetProp => !claimed.has(targetProp));
 
-                if (score > bestPropScore) {
-                    bestPropScore = score;
-                    bestPropMatch = targetProp;
-                }
-            });
+        // Pairs below the threshold are not worth anything to the assignment
+        const worth = restSource.map(sourceProp => restTarget.map(targetProp => {
+            const score = this.scoreProperty(sourceProp, targetProp, context);
+            return score >= this.propertyThreshold ? score : 0;
+        }));
+        const assigned = maximumAssignment(worth);
 
-            // Threshold for property mapping (slightly looser than components to be helpful)
-            if (bestPropScore >= 50) {
-                mapping[sourceProp] = bestPropMatch;
+        const mapping = {};
+        sourceProps.forEach(sourceProp => {
+            if (known.has(sourceProp)) {
+                mapping[sourceProp] = known.get(sourceProp);
+                return;
             }
+            const i = restSource.indexOf(sourceProp);
+            const j = assigned[i];
+            if (j >= 0 && worth[i][j] > 0) mapping[sourceProp] = restTarget[j];
         });
-
         return mapping;
     }
 
+    scoreProperty(sourceProp, targetProp, context) {
+        const { sourceFields = [], targetFields = [], knowledge = null } = context;
+        const fieldOf = (fields, name) => (fields || []).find(field => field.name === name) || {};
+        let score = 0;
+
+        // 1. Exact Match
+        if (sourceProp === targetProp) {
+            score = 100;
+        }
+        // 2. Case-insensitive Match
+        else if (sourceProp.toLowerCase() === targetProp.toLowerCase()) {
+            score = 90;
+        }
+        // 3. Contains Match (e.g. sitelogo -> logo)
+        else if (sourceProp.toLowerCase().includes(targetProp.toLowerCase()) ||
+            targetProp.toLowerCase().includes(sourceProp.toLowerCase())) {
+            score = 70;
+        }
+        // 4. Levenshtein for typos
+        else {
+            const distance = this.levenshtein(sourceProp.toLowerCase(), targetProp.toLowerCase());
+            const maxLen = Math.max(sourceProp.length, targetProp.length);
+            const fuzzyScore = (1 - distance / maxLen) * 60;
+            score = fuzzyScore;
+        }
+
+        // 5. Synonyms, e.g. linkURL and href
+        if (this.knowledgeService.areSynonyms(knowledge, 'properties', sourceProp, targetProp)) {
+            score = Math.max(score, 80);
+        }
+
+        // 6. Dialog semantics: fields with the same label are likely the same property,
+        // and a matching field type breaks ties between similar names
+        const sourceField = fieldOf(sourceFields, sourceProp);
+        const targetField = fieldOf(targetFields, targetProp);
+        if (sourceField.label && targetField.label && sourceField.label.toLowerCase() === targetField.label.toLowerCase()) {
+            score = Math.max(score, 85);
+        }
+        if (score >= 50 && sourceField.type && sourceField.type === targetField.type) {
+            score = Math.min(score + 10, 100);
+        }
+
+        return score;
+    }
+
     calculateScore(str1, str2) {
         // Similarity score (0-100)
 
@@ -342,27 +399,27 @@ class AutoMapService {
         return matrix[b.length][a.length];
     }
 
+    /**
+     * Writes mapping_report.csv. Besides the columns a migration reads, each row has the match's
+     * Confidence (0-1), how it was matched and the Alternatives ("target (0.72); ..."), so a
+     * reviewer can switch a row to another target by copying it into Target.
+     */
     async generateReports(templateMappings, componentMappings) {
         // Generate Single Consolidated CSV
-        let csvContent = `Type,Source,Target,Properties\n`;
-
-        // Templates
-        templateMappings.forEach(m => {
-            const props = Object.entries(m.mapping.propertyMappings)
-                .map(([source, target]) => `${source}=${target}`)
-                .join(';');
-            csvContent += `Template,"${m.source}","${m.target}","${props}"\n`;
-        });
-
-        // Components
-        componentMappings.forEach(m => {
-            // Format props as "sourceProp=targetProp;source2=target2"
-            const props = Object.entries(m.mapping.propertyMappings)
-                .map(([source, target]) => `${source}=${target}`)
-                .join(';');
-
-            csvContent += `Component,"${m.source}","${m.target}","${props}"\n`;
-        });
+        const rows = [['Type', 'Source', 'Target', 'Properties', 'Confidence', 'MatchedBy', 'Alternatives']];
+        // Format props as "sourceProp=targetProp;source2=target2"
+        const props = (m) => Object.entries(m.mapping.propertyMappings)
+            .map(([source, target]) => `${source}=${target}`)
+            .join(';');
+        const alternatives = (m) => m.mapping.alternatives
+            .map(alternative => `${alternative.target} (${alternative.confidence})`)
+            .join('; ');
+        const row = (type, m) => [type, m.source, m.target, props(m), m.mapping.confidence,
+            m.mapping.matchedBy || '', alternatives(m)];
+
+        templateMappings.forEach(m => rows.push(row('Template', m)));
+        componentMappings.forEach(m => rows.push(row('Component', m)));
+        const csvContent = rows.map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
 
         const rootDir = path.join(__dirname, '../../');
         const reportPath = path.join(rootDir, 'mapping_report.csv');
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const TreeService = require('./treeService');
+const AnalysisService = require('./analysisService');
+const InventoryService = require('./inventoryService');
+const { csvField } = require('../utils/csv');
+
+// Maintained by the repository or by AEM; no mapping is expected to read them
+const SYSTEM_PROPERTY = /^(xmlns:|sling:resource(Super)?Type$|cq:last|jcr:(primaryType|mixinTypes|uuid|created|createdBy|lastModified|lastModifiedBy|isCheckedOut|baseVersion|predecessors|versionHistory)$)/;
+
+/**
+ * Crosses a mapping report with the source package: which templates and components have no
+ * mapping (with their instance counts and the pages they appear on), which properties of mapped
+ * components no rule reads (they are copied unchanged), and the share of instances covered.
+ */
+class CoverageService {
+    /**
+     * @param {Object} migrationService - Reads the mapping report the same way a migration does.
+     */
+    constructor(migrationService) {
+        this.migrationService = migrationService;
+        this.treeService = new TreeService();
+        this.analysisService = new AnalysisService();
+        this.inventoryService = new InventoryService();
+    }
+
+    /**
+     * @param {string} uploadId - An extracted source package.
+     * @param {string} mappingReportPath
+     * @returns {Promise<Object>} See build.
+     */
+    async forUpload(uploadId, mappingReportPath) {
+        const jcrRoot = path.join(__dirname, '../../extraction', uploadId, 'jcr_root');
+        if (!fs.existsSync(jcrRoot)) {
+            throw new Error(`Source content not found for ID: ${uploadId}`);
+        }
+        const tree = await this.treeService.buildTree(jcrRoot);
+        const mappings = await this.migrationService.parseMappingReport(mappingReportPath);
+        return this.build(tree, mappings);
+    }
+
+    /**
+     * @param {Object} rootNode - From TreeService.buildTree.
+     * @param {Object} mappings - From MigrationService.parseMappingReport.
+     * @returns {{ summary: Object, unmappedTemplates: Array, unmappedComponents: Array, unmappedProperties: Array }}
+     *   summary.percent is the share of template and component instances with a mapping.
+     */
+    build(rootNode, mappings) {
+        const analysis = this.analysisService.analyze(rootNode);
+        const { pages } = this.inventoryService.buildInventory(rootNode, mappings);
+        const pagesWhere = (predicate) => pages.filter(predicate).map(page => page.path);
+
+        const templates = analysis.templates.map(t => ({ ...t, mapped: mappings.templates.has(t.template) }));
+        const components = analysis.components.map(c => ({ ...c, mapped: this.inventoryService.isComponentMapped(c.resourceType, mappings) }));
+
+        const unmappedTemplates = templates.filter(t => !t.mapped).map(t => ({
+            template: t.template,
+            count: t.count,
+            pages: pagesWhere(page => page.template === t.template)
+        }));
+        const unmappedComponents = components.filter(c => !c.mapped).map(c => ({
+            resourceType: c.resourceType,
+            count: c.count,
+            pages: pagesWhere(page => page.pageComponent === c.resourceType || page.componentTypes.includes(c.resourceType))
+        }));
+
+        // Properties set on instances of a mapped component that none of its rows reads
+        const unmappedProperties = components
+            .filter(c => mappings.components.has(c.resourceType))
+            .map(c => {
+                const rows = mappings.components.get(c.resourceType);
+                const read = new Set(rows.flatMap(row => row.rules.flatMap(rule => rule.sources)));
+                return {
+                    resourceType: c.resourceType,
+                    targets: [...new Set(rows.map(row => row.targetPath))],
+                    properties: Object.entries(c.profile)
+                        .filter(([name]) => !SYSTEM_PROPERTY.test(name) && !read.has(name))
+                        .map(([name, profile]) => ({ name, count: profile.count, of: c.count }))
+                };
+            })
+            .filter(entry => entry.properties.length > 0);
+
+        return {
+            summary: this.summarize(templates, components),
+            unmappedTemplates: unmappedTemplates.sort((a, b) => b.count - a.count),
+            unmappedComponents: unmappedComponents.sort((a, b) => b.count - a.count),
+            unmappedProperties
+        };
+    }
+
+    summarize(templates, components) {
+        const percent = (part, whole) => whole === 0 ? 100 : Math.round(part / whole * 1000) / 10;
+        const count = (entries) => {
+            const instances = entries.reduce((sum, entry) => sum + entry.count, 0);
+            const mappedInstances = entries.filter(entry => entry.mapped).reduce((sum, entry) => sum + entry.count, 0);
+            return {
+                total: entries.length,
+                mapped: entries.filter(entry => entry.mapped).length,
+                instances,
+                mappedInstances,
+                percent: percent(mappedInstances, instances)
+            };
+        };
+
+        const templateCoverage = count(templates);
+        const componentCoverage = count(components);
+        return {
+            templates: templateCoverage,
+            components: componentCoverage,
+            percent: percent(templateCoverage.mappedInstances + componentCoverage.mappedInstances,
+                templateCoverage.instances + componentCoverage.instances)
+        };
+    }
+
+    /**
+     * Writes coverage_report_<id>.csv: one row per unmapped template, component and property.
+     * @returns {Promise<string>}
+     */
+    async generateCSVReport(coverage, packageId) {
+        const rows = [['Type', 'Item', 'Property', 'Instances', 'Pages']];
+        coverage.unmappedTemplates.forEach(t => rows.push(['Template', t.template, '', t.count, t.pages.join('; ')]));
+        coverage.unmappedComponents.forEach(c => rows.push(['Component', c.resourceType, '', c.count, c.pages.join('; ')]));
+        coverage.unmappedProperties.forEach(entry => entry.properties.forEach(property => {
+            rows.push(['Property', entry.resourceType, property.name, property.count, '']);
+        }));
+
+        const outputPath = path.join(__dirname, '../../', `coverage_report_${packageId}.csv`);
+        await fs.promises.writeFile(outputPath, rows.map(row => row.map(csvField).join(',')).join('\n') + '\n', 'utf8');
+        return outputPath;
+    }
+}
+
+module.exports = CoverageService;
@@ -0,0 +1,180 @@
+const { parseValue } = require('../utils/jcrValue');
+
+const MULTIFIELD_TYPES = [
+    'granite/ui/components/coral/foundation/form/multifield',
+    'granite/ui/components/foundation/form/multifield'
+];
+
+/**
+ * Reads the fields of component dialogs: Touch UI (cq:dialog, Granite UI) and classic (dialog,
+ * ExtJS widgets). Accepts docview nodes as parsed by xml2js (values are docview strings such as
+ * "{Boolean}true"), Sling JSON (.infinity.json) and TreeService nodes converted with fromTreeNode.
+ */
+class DialogService {
+    /**
+     * Every node with a "name" property is a field. Names lose their "./" prefix; Sling POST
+     * suffixes ("./text@TypeHint") and ":operation" style names are not properties. The fields of a
+     * composite multifield are stored on child nodes and are listed under the multifield's items.
+     * @param {Object} dialogNode
+     * @returns {Array<{ name: string, path: string, type: string|null, resourceType: string|null, label: string|null, required: boolean, items?: Array }>}
+     *   path is the field node's path below the dialog; type the field kind (textfield, pathfield,
+     *   richtext, checkbox, multifield, ...), from the Granite resource type or the classic xtype.
+     */
+    fields(dialogNode) {
+        return this.read(dialogNode).fields;
+    }
+
+    /**
+     * @param {Object} dialogNode
+     * @returns {Set<string>} The top-level field names.
+     */
+    fieldNames(dialogNode) {
+        return new Set(this.fields(dialogNode).map(field => field.name));
+    }
+
+    /**
+     * @param {Object} dialogNode
+     * @returns {{ fields: Array<Object>, hidden: Array<string> }} hidden: paths of sling:hideResource nodes.
+     */
+    read(dialogNode) {
+        const result = { fields: [], hidden: [] };
+        this.collectFields(dialogNode, '', result.fields, result.hidden);
+        return result;
+    }
+
+    /**
+     * Fields of a dialog on top of the fields of its super type's dialog, the way the Sling
+     * Resource Merger combines them: nodes at the same path or with the same field name are
+     * overridden, nodes below a sling:hideResource path are dropped, the rest is kept.
+     * @param {{ fields: Array<Object>, hidden: Array<string> }} own - From read().
+     * @param {Array<Object>} inherited
+     * @returns {Array<Object>}
+     */
+    mergeFields(own, inherited) {
+        const names = new Set(own.fields.map(field => field.name));
+        const paths = new Set(own.fields.map(field => field.path));
+        const hidden = (fieldPath) => own.hidden.some(hiddenPath => fieldPath === hiddenPath || fieldPath.startsWith(`${hiddenPath}/`));
+        return [
+            ...inherited.filter(field => !names.has(field.name) && !paths.has(field.path) && !hidden(field.path)),
+            ...own.fields
+        ];
+    }
+
+    collectFields(node, nodePath, fields, hidden) {
+        if (this.value(node['sling:hideResource']) === 'true') {
+            hidden.push(nodePath);
+            return;
+        }
+
+        const name = typeof node.name === 'string' ? node.name.replace(/^\.\//, '') : null;
+        if (name && !name.includes('@') && !name.startsWith(':')) {
+            const field = this.field(node, name, nodePath);
+            fields.push(field);
+            if (this.value(node.composite) === 'true') {
+                field.items = [];
+                this.collectChildren(node, nodePath, field.items, hidden);
+            }
+            // Fields do not nest, except in composite multifields
+            return;
+        }
+
+        // A composite multifield carries its name on its "field" child
+        if (MULTIFIELD_TYPES.includes(this.value(node['sling:resourceType'])) && this.value(node.composite) === 'true' &&
+            node.field && typeof node.field === 'object' && typeof node.field.name === 'string') {
+            const field = this.field(node, node.field.name.replace(/^\.\//, ''), nodePath);
+            field.items = [];
+            fields.push(field);
+            this.collectChildren(node.field, `${nodePath}/field`, field.items, hidden);
+            return;
+        }
+
+        this.collectChildren(node, nodePath, fields, hidden);
+    }
+
+    field(node, name, nodePath) {
+        const resourceType = this.value(node['sling:resourceType']) || null;
+        const xtype = this.value(node.xtype);
+        // Classic checkboxes and radio groups are "selection" widgets with a type
+        const type = xtype === 'selection' ? (this.value(node.type) || xtype)
+            : xtype || (resourceType ? resourceType.split('/').pop() : null);
+        return {
+            name,
+            path: nodePath,
+            type,
+            resourceType,
+            label: this.value(node.fieldLabel) || this.value(node.text) || this.value(node.boxLabel) || null,
+            required: this.value(node.required) === 'true' || this.value(node.allowBlank) === 'false'
+        };
+    }
+
+    /**
+     * The dialog fields of a component merged along its sling:resourceSuperType chain. Super types
+     * resolve like Sling does (/apps, then /libs) among the nodes nodeAt knows. Each component
+     * contributes its Touch UI dialog, or its classic dialog when it has none.
+     * @param {string} componentPath - e.g. "/apps/mysite/components/teaser"
+     * @param {function(string): (Object|undefined)} nodeAt - The node at a JCR path, children as keys.
+     * @returns {{ fields: Array<Object>, dialogType: 'touch'|'classic'|null, superTypes: string[], unresolvedSuperType: string|null }}
+     *   superTypes lists the chain nearest first, including an unresolved last one.
+     */
+    componentDialog(componentPath, nodeAt) {
+        const chain = [componentPath];
+        const superTypes = [];
+        let unresolvedSuperType = null;
+        let current = nodeAt(componentPath);
+        while (current) {
+            const superType = this.value(current['sling:resourceSuperType']);
+            if (!superType) break;
+            superTypes.push(superType);
+            const candidates = superType.startsWith('/') ? [superType] : [`/apps/${superType}`, `/libs/${superType}`];
+            const superPath = candidates.find(candidate => nodeAt(candidate));
+            if (!superPath) {
+                unresolvedSuperType = superType;
+                break;
+            }
+            if (chain.includes(superPath)) break;
+            chain.push(superPath);
+            current = nodeAt(superPath);
+        }
+
+        // From the top-most super type down, so overrides win
+        let fields = [];
+        let dialogType = null;
+        chain.reverse().forEach(nodePath => {
+            const touch = nodeAt(`${nodePath}/cq:dialog`);
+            const classic = touch ? null : nodeAt(`${nodePath}/dialog`);
+            const dialog = touch || (classic && this.value(classic['jcr:primaryType']) === 'cq:Dialog' ? classic : null);
+            if (!dialog) return;
+            fields = this.mergeFields(this.read(dialog), fields);
+            dialogType = touch ? 'touch' : 'classic';
+        });
+        return { fields, dialogType, superTypes, unresolvedSuperType };
+    }
+
+    /**
+     * TreeService node -> the nested shape the other methods read (properties and children as keys).
+     * @param {Object} treeNode
+     * @returns {Object}
+     */
+    fromTreeNode(treeNode) {
+        const node = { ...treeNode.properties };
+        treeNode.children.forEach(child => {
+            node[child.name] = this.fromTreeNode(child);
+        });
+        return node;
+    }
+
+    collectChildren(node, nodePath, fields, hidden) {
+        Object.entries(node)
+            .filter(([, value]) => typeof value === 'object' && value !== null && !Array.isArray(value))
+            .forEach(([key, child]) => this.collectFields(child, nodePath ? `${nodePath}/${key}` : key, fields, hidden));
+    }
+
+    // Docview strings carry their type; JSON values are already typed
+    value(raw) {
+        if (raw === undefined || raw === null) return undefined;
+        if (typeof raw !== 'string') return String(raw);
+        return parseValue(raw).values[0];
+    }
+}
+
+module.exports = DialogService;
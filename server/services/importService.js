@@ -0,0 +1,412 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const path = require('path');
+const { toJsonValue } = require('../utils/jcrValue');
+const { decodeXmlName } = require('../utils/vaultPath');
+const { readNodeJson, acceptMultipleChoices } = require('../utils/slingJson');
+
+// Network errors worth another attempt, besides 5xx and 429 responses
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Maintained by the repository; a JSON import cannot set them
+const SKIPPED_PROPERTIES = [
+    'jcr:uuid', 'jcr:created', 'jcr:createdBy', 'jcr:baseVersion', 'jcr:predecessors',
+    'jcr:versionHistory', 'jcr:isCheckedOut'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Writes migrated content with one Sling ":operation=import" request per batch: a node outside
+ * jcr:content (usually a page) together with its whole jcr:content subtree. Binaries below it
+ * are uploaded right after its import.
+ *
+ * Batches are written once complete, after their parent batch. Children of one parent are written
+ * one after another in the order they were completed (the traversal follows the source sibling
+ * order), so they end up in that order on the target; different parents are written in parallel.
+ *
+ * Options (targetConfig.batchImport, or true for the defaults):
+ *   concurrency            requests in flight (4)
+ *   retries                attempts after a 5xx, 429 or network error (3), waiting retryDelay ms
+ *   retryDelay             doubled on every attempt (1000)
+ *   maxRequestsPerSecond   rate limit over all requests (unlimited)
+ *   timeout                per request in ms (60000)
+ */
+class ImportService {
+    /**
+     * @param {Object} config - Target configuration: targetUrl, username, password, batchImport.
+     * @param {Object} callbacks - { nodeUrl(targetUrl, path, suffix), nodeDepth(data),
+     *   writeBinary(targetPath, binary), onWritten(batch, outcome), onFailed(batch, error) }
+     */
+    constructor(config, callbacks) {
+        const options = typeof config.batchImport === 'object' && config.batchImport !== null ? config.batchImport : {};
+        this.targetUrl = config.targetUrl;
+        this.auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+        this.concurrency = Math.max(1, Number(options.concurrency) || 4);
+        this.retries = options.retries !== undefined ? Math.max(0, Number(options.retries)) : 3;
+        this.retryDelay = options.retryDelay !== undefined ? Math.max(0, Number(options.retryDelay)) : 1000;
+        this.interval = Number(options.maxRequestsPerSecond) > 0 ? 1000 / Number(options.maxRequestsPerSecond) : 0;
+        this.timeout = Number(options.timeout) || 60000;
+        // Completed batches held in memory before the traversal waits for writes to catch up
+        this.maxPending = Math.max(16, this.concurrency * 4);
+        this.callbacks = callbacks;
+
+        // Source path -> batch; written batches stay as markers for their children
+        this.batches = new Map();
+        // Parent source path ('' for none) -> batches waiting to be written, in order
+        this.groups = new Map();
+        this.busyGroups = new Set();
+        this.pending = 0;
+        this.active = 0;
+        this.nextRequestAt = 0;
+        this.waiters = [];
+        this.stats = { batches: 0, requests: 0, retries: 0, failed: 0 };
+    }
+
+    // /content/site/en/jcr:content/par/text -> /content/site/en
+    batchKeyOf(sourcePath) {
+        const index = sourcePath.indexOf('/jcr:content');
+        return index < 0 ? sourcePath : sourcePath.substring(0, index);
+    }
+
+    /**
+     * Adds a transformed node. Waits while too many completed batches are not written yet.
+     * @param {Object} item - { sourcePath, targetPath, file, data, filterMode }
+     */
+    async addNode(item) {
+        const batch = await this.batchFor(item.sourcePath, item.targetPath);
+
+        if (item.sourcePath === batch.sourcePath) {
+            batch.filterMode = item.filterMode;
+            Object.assign(batch.data, item.data);
+        } else {
+            const relative = item.sourcePath.substring(batch.sourcePath.length + 1).split('/');
+            let parent = batch.data;
+            relative.slice(0, -1).forEach(name => {
+                const key = this.dataKey(parent, name);
+                if (typeof parent[key] !== 'object' || parent[key] === null) parent[key] = {};
+                parent = parent[key];
+            });
+            const name = relative[relative.length - 1];
+            const key = this.dataKey(parent, name);
+            parent[key] = { ...(typeof parent[key] === 'object' && parent[key] !== null ? parent[key] : {}), ...item.data };
+        }
+        batch.items.push(item);
+        batch.hasContent = true;
+        if (batch.single) this.complete(batch.sourcePath);
+    }
+
+    /**
+     * Adds a binary, uploaded after the import of the batch it belongs to. Binaries outside
+     * jcr:content are batches of their own.
+     * @param {Object} item - { sourcePath, targetPath, file, binary }
+     */
+    async addBinary(item) {
+        const batch = await this.batchFor(item.sourcePath, item.targetPath);
+        batch.binaries.push(item);
+        if (batch.single || item.sourcePath === batch.sourcePath) this.complete(batch.sourcePath);
+    }
+
+    // Docview keys are ISO 9075 encoded; the batch data keeps them that way until it is imported
+    dataKey(parent, name) {
+        return Object.keys(parent).find(key => decodeXmlName(key) === name) || name;
+    }
+
+    async batchFor(sourcePath, targetPath) {
+        const key = this.batchKeyOf(sourcePath);
+        const existing = this.batches.get(key);
+        if (existing && existing.state === 'open') return existing;
+
+        // A node is a batch of its own when path rules move it away from its page, or when its
+        // page was already completed (e.g. a node stored outside the page folder)
+        const suffix = sourcePath.substring(key.length);
+        const single = !!suffix && (!!existing || !targetPath.endsWith(suffix));
+        const batchKey = single ? sourcePath : key;
+
+        await this.waitForCapacity();
+
+        const batch = {
+            sourcePath: batchKey,
+            targetPath: single || !suffix ? targetPath : targetPath.substring(0, targetPath.length - suffix.length),
+            parent: this.parentOf(batchKey),
+            single,
+            data: {},
+            items: [],
+            binaries: [],
+            hasContent: false,
+            filterMode: 'replace',
+            state: 'open'
+        };
+        this.batches.set(batchKey, batch);
+        this.pending++;
+
+        const groupKey = batch.parent ? batch.parent.sourcePath : '';
+        if (!this.groups.has(groupKey)) this.groups.set(groupKey, []);
+        this.groups.get(groupKey).push(batch);
+        return batch;
+    }
+
+    // The nearest batch above a path
+    parentOf(sourcePath) {
+        let current = sourcePath;
+        while (current.lastIndexOf('/') > 0) {
+            current = current.substring(0, current.lastIndexOf('/'));
+            if (this.batches.has(current)) return this.batches.get(current);
+        }
+        return null;
+    }
+
+    /**
+     * Marks the batch of a source path complete: everything below its jcr:content was added.
+     * @param {string} sourcePath
+     */
+    complete(sourcePath) {
+        const batch = this.batches.get(sourcePath);
+        if (!batch || batch.state !== 'open') return;
+        batch.state = 'complete';
+        this.pump();
+    }
+
+    // Starts every batch that can be written now
+    pump() {
+        for (const [groupKey, queue] of this.groups) {
+            if (this.active >= this.concurrency) return;
+            if (this.busyGroups.has(groupKey) || queue.length === 0) continue;
+
+            const batch = queue[0];
+            const parentState = batch.parent ? batch.parent.state : 'done';
+            if (batch.state !== 'complete' || !['done', 'failed', 'discarded'].includes(parentState)) continue;
+
+            queue.shift();
+            if (queue.length === 0) this.groups.delete(groupKey);
+
+            if (parentState !== 'done') {
+                this.finish(batch, 'failed', new Error(`Not written: parent ${batch.parent.targetPath} was not written`));
+                continue;
+            }
+
+            this.active++;
+            this.busyGroups.add(groupKey);
+            batch.state = 'running';
+            this.write(batch)
+                .then(outcome => this.finish(batch, 'done', null, outcome), error => this.finish(batch, 'failed', error))
+                .finally(() => {
+                    this.active--;
+                    this.busyGroups.delete(groupKey);
+                    this.notify();
+                    this.pump();
+                });
+        }
+    }
+
+    async finish(batch, state, error, outcome) {
+        batch.state = state;
+        this.stats.batches++;
+        try {
+            if (state === 'failed') {
+                this.stats.failed++;
+                await this.callbacks.onFailed(batch, error);
+            } else {
+                await this.callbacks.onWritten(batch, outcome);
+            }
+        } catch (callbackError) {
+            console.error(`[Import] Recording ${batch.sourcePath} failed`, callbackError);
+        }
+        // Keep only what children need
+        batch.data = null;
+        batch.items = [];
+        batch.binaries = [];
+
+        this.pending--;
+        this.notify();
+        // A failed parent fails its waiting children
+        this.pump();
+    }
+
+    notify() {
+        this.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    async waitForCapacity() {
+        while (this.pending >= this.maxPending) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Writes whatever is still queued and waits for it. With discard, batches not yet started are
+     * dropped instead (a cancelled run), and only requests in flight are awaited.
+     */
+    async drain({ discard = false } = {}) {
+        for (const batch of this.batches.values()) {
+            if (batch.state === 'open' || batch.state === 'complete') {
+                if (discard) {
+                    batch.state = 'discarded';
+                    this.pending--;
+                } else {
+                    batch.state = 'complete';
+                }
+            }
+        }
+        if (discard) this.groups.clear();
+        this.pump();
+
+        while (this.pending > 0 || this.active > 0) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    async write(batch) {
+        const outcome = { priorState: null, kept: false, binaries: [] };
+
+        if (batch.hasContent) {
+            // Empty elements only give the order of child nodes that have their own batches
+            batch.childOrder = Object.keys(batch.data)
+                .filter(key => this.isOrderingHint(batch.data[key]))
+                .map(key => decodeXmlName(key));
+            const depth = this.callbacks.nodeDepth(batch.data);
+            outcome.priorState = await this.request(() => this.fetchNodeJson(batch.targetPath, depth));
+            if (outcome.priorState && batch.filterMode === 'merge') {
+                outcome.kept = true;
+                return outcome;
+            }
+            await this.request(() => this.importNode(batch.targetPath, this.toImportJson(batch.data)));
+
+            // New nodes are appended, so siblings written in source order end up in that order.
+            // A node that existed keeps its place unless it is moved after its earlier siblings
+            const siblings = batch.parent && batch.parent.childOrder;
+            if (outcome.priorState && siblings && siblings.includes(path.posix.basename(batch.sourcePath))) {
+                try {
+                    await this.request(() => this.orderLast(batch.targetPath));
+                } catch (error) {
+                    console.warn(`[Import] Could not restore the sibling order of ${batch.targetPath}: ${error.message}`);
+                }
+            }
+        }
+
+        // One failed binary does not undo the imported content
+        for (const item of batch.binaries) {
+            try {
+                const written = await this.request(() => this.callbacks.writeBinary(item.targetPath, item.binary));
+                outcome.binaries.push({ item, written });
+            } catch (error) {
+                outcome.binaries.push({ item, error });
+            }
+        }
+
+        return outcome;
+    }
+
+    // Runs a request within the rate limit, retrying transient failures with exponential backoff
+    async request(send) {
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle();
+            this.stats.requests++;
+            try {
+                return await send();
+            } catch (error) {
+                if (attempt >= this.retries || !this.isTransient(error)) throw error;
+                this.stats.retries++;
+                await sleep(this.retryDelay * 2 ** attempt);
+            }
+        }
+    }
+
+    async throttle() {
+        if (!this.interval) return;
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = startAt + this.interval;
+        if (startAt > now) await sleep(startAt - now);
+    }
+
+    isTransient(error) {
+        const status = error.response ? error.response.status : error.status;
+        if (typeof status === 'number') return status >= 500 || status === 429;
+        return TRANSIENT_CODES.includes(error.code);
+    }
+
+    async fetchNodeJson(nodePath, depth) {
+        try {
+            return await readNodeJson((readPath, readDepth) => axios.get(this.callbacks.nodeUrl(this.targetUrl, readPath, `.${readDepth}.json`), {
+                headers: { 'Authorization': `Basic ${this.auth}` },
+                timeout: this.timeout,
+                validateStatus: acceptMultipleChoices
+            }), nodePath, depth);
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw this.requestError(`Failed to read node ${nodePath}`, error);
+        }
+    }
+
+    // Existing nodes are updated in place: their properties are replaced, other children are kept
+    async importNode(nodePath, content) {
+        const form = new FormData();
+        form.append(':operation', 'import');
+        form.append(':contentType', 'json');
+        form.append(':name', path.posix.basename(nodePath));
+        form.append(':replaceProperties', 'true');
+        form.append(':content', JSON.stringify(content));
+
+        try {
+            await axios.post(this.callbacks.nodeUrl(this.targetUrl, path.posix.dirname(nodePath)), form, {
+                headers: { ...form.getHeaders(), 'Authorization': `Basic ${this.auth}` },
+                timeout: this.timeout,
+                maxBodyLength: Infinity
+            });
+        } catch (error) {
+            throw this.requestError(`Failed to import ${nodePath}`, error);
+        }
+    }
+
+    async orderLast(nodePath) {
+        const form = new FormData();
+        form.append(':order', 'last');
+        try {
+            await axios.post(this.callbacks.nodeUrl(this.targetUrl, nodePath), form, {
+                headers: { ...form.getHeaders(), 'Authorization': `Basic ${this.auth}` },
+                timeout: this.timeout
+            });
+        } catch (error) {
+            throw this.requestError(`Failed to order ${nodePath}`, error);
+        }
+    }
+
+    // Keeps status and code for isTransient
+    requestError(message, error) {
+        const status = error.response ? error.response.status : null;
+        const wrapped = new Error(`${message}: ${status || error.code || 'Unknown'} ${error.message}`);
+        wrapped.status = status;
+        wrapped.code = error.code;
+        return wrapped;
+    }
+
+    // An element without attributes or children, e.g. <ski-touring/> in a page's .content.xml
+    isOrderingHint(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length === 0;
+    }
+
+    // Docview node data (xml2js shape) -> JSON import content. Ordering hints are left out: they
+    // would create placeholder nodes where the child's own batch belongs
+    toImportJson(data) {
+        const json = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (key.startsWith('xmlns:')) continue;
+            const name = decodeXmlName(key);
+            if (this.isOrderingHint(value)) continue;
+            if (typeof value === 'object' && value !== null) {
+                json[name] = this.toImportJson(value);
+            } else if (!SKIPPED_PROPERTIES.includes(name)) {
+                json[name] = toJsonValue(value);
+            }
+        }
+        return json;
+    }
+
+    // Batch and request counts for the throughput report
+    report() {
+        return { ...this.stats, concurrency: this.concurrency };
+    }
+}
+
+module.exports = ImportService;
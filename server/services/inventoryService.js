@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { parseValue } = require('../utils/jcrValue');
+const { csvField } = require('../utils/csv');
+
+// Points per aspect of a page; the sum is its complexity score
+const COMPLEXITY_WEIGHTS = {
+    component: 1,           // per component instance
+    componentType: 3,       // per distinct component type
+    depth: 2,               // per nesting level of the deepest component
+    unmappedComponent: 10,  // per distinct component type without a mapping
+    unmappedTemplate: 15    // when the page's template has no mapping
+};
+// Scores below these are "low" and "medium", anything else "high"
+const COMPLEXITY_BANDS = { low: 25, medium: 75 };
+// Template structures and code are pages too, but not content to migrate
+const NON_CONTENT_ROOTS = ['/conf/', '/apps/', '/libs/'];
+
+/**
+ * Page level inventory of a source package, to estimate the effort and plan migration waves:
+ * every cq:Page with its template, components, nesting depth and a complexity score, and the
+ * same rolled up per template. Given a parsed mapping report, components and templates without
+ * a mapping are listed and weigh into the score.
+ */
+class InventoryService {
+    /**
+     * @param {Object} rootNode - From TreeService.buildTree.
+     * @param {Object|null} mappings - From MigrationService.parseMappingReport; null when no mapping report was given.
+     * @returns {{ pages: Array<Object>, templates: Array<Object>, weights: Object }}
+     */
+    buildInventory(rootNode, mappings = null) {
+        const pages = [];
+        this.collectPages(rootNode, pages, mappings);
+        pages.sort((a, b) => a.path.localeCompare(b.path));
+
+        return {
+            pages,
+            templates: this.rollUp(pages, mappings),
+            weights: COMPLEXITY_WEIGHTS
+        };
+    }
+
+    collectPages(node, pages, mappings) {
+        if (NON_CONTENT_ROOTS.some(root => node.path.startsWith(root))) return;
+        if (this.primaryType(node) === 'cq:Page') {
+            const content = node.children.find(child => child.name === 'jcr:content');
+            if (content) pages.push(this.describePage(node, content, mappings));
+        }
+        node.children.forEach(child => {
+            if (child.name !== 'jcr:content') this.collectPages(child, pages, mappings);
+        });
+    }
+
+    describePage(pageNode, content, mappings) {
+        const value = (name) => content.properties[name] === undefined ? null : parseValue(content.properties[name]).values[0];
+        const components = [];
+        const walk = (node, depth) => node.children.forEach(child => {
+            const resourceType = child.properties['sling:resourceType'];
+            if (resourceType) components.push({ resourceType: parseValue(resourceType).values[0], depth });
+            walk(child, depth + 1);
+        });
+        walk(content, 1);
+
+        const template = value('cq:template');
+        const types = [...new Set(components.map(component => component.resourceType))].sort();
+        const maxDepth = components.reduce((max, component) => Math.max(max, component.depth), 0);
+        const unmappedComponents = mappings ? types.filter(type => !this.isComponentMapped(type, mappings)) : null;
+        const templateMapped = mappings && template ? mappings.templates.has(template) : null;
+
+        const score = COMPLEXITY_WEIGHTS.component * components.length +
+            COMPLEXITY_WEIGHTS.componentType * types.length +
+            COMPLEXITY_WEIGHTS.depth * maxDepth +
+            COMPLEXITY_WEIGHTS.unmappedComponent * (unmappedComponents ? unmappedComponents.length : 0) +
+            (templateMapped === false ? COMPLEXITY_WEIGHTS.unmappedTemplate : 0);
+
+        return {
+            path: pageNode.path,
+            title: value('jcr:title'),
+            template,
+            templateMapped,
+            pageComponent: value('sling:resourceType'),
+            level: pageNode.path.split('/').filter(Boolean).length,
+            components: components.length,
+            componentTypes: types,
+            maxDepth,
+            unmappedComponents,
+            score,
+            complexity: this.band(score)
+        };
+    }
+
+    // A Component row maps the type; Unwrap and Split rows replace it
+    isComponentMapped(resourceType, mappings) {
+        return mappings.components.has(resourceType) ||
+            mappings.structure.some(rule => rule.resourceType === resourceType && ['Unwrap', 'Split'].includes(rule.type));
+    }
+
+    rollUp(pages, mappings) {
+        const byTemplate = new Map();
+        pages.forEach(page => {
+            const key = page.template || '(none)';
+            if (!byTemplate.has(key)) {
+                byTemplate.set(key, {
+                    template: key,
+                    templateMapped: page.templateMapped,
+                    pages: 0,
+                    components: 0,
+                    totalScore: 0,
+                    maxScore: 0,
+                    componentTypes: new Set(),
+                    unmappedComponents: mappings ? new Set() : null,
+                    complexity: { low: 0, medium: 0, high: 0 }
+                });
+            }
+            const rollup = byTemplate.get(key);
+            rollup.pages++;
+            rollup.components += page.components;
+            rollup.totalScore += page.score;
+            rollup.maxScore = Math.max(rollup.maxScore, page.score);
+            rollup.complexity[page.complexity]++;
+            page.componentTypes.forEach(type => rollup.componentTypes.add(type));
+            if (page.unmappedComponents) page.unmappedComponents.forEach(type => rollup.unmappedComponents.add(type));
+        });
+
+        return [...byTemplate.values()]
+            .sort((a, b) => b.totalScore - a.totalScore)
+            .map(rollup => ({
+                ...rollup,
+                averageScore: Math.round(rollup.totalScore / rollup.pages * 10) / 10,
+                componentTypes: [...rollup.componentTypes].sort(),
+                unmappedComponents: rollup.unmappedComponents ? [...rollup.unmappedComponents].sort() : null
+            }));
+    }
+
+    band(score) {
+        if (score < COMPLEXITY_BANDS.low) return 'low';
+        if (score < COMPLEXITY_BANDS.medium) return 'medium';
+        return 'high';
+    }
+
+    primaryType(node) {
+        const raw = node.properties && node.properties['jcr:primaryType'];
+        return raw ? parseValue(raw).values[0] : node.primaryType;
+    }
+
+    /**
+     * Writes page_inventory_<id>.csv (one row per page) and page_inventory_<id>_templates.csv.
+     * @returns {Promise<{ pagesCsvPath: string, templatesCsvPath: string }>}
+     */
+    async generateCSVReports(inventory, packageId) {
+        const rootDir = path.join(__dirname, '../../');
+        const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+        const list = (values) => values ? values.join('; ') : '';
+        const mapped = (flag) => flag === null ? '' : String(flag);
+
+        const pageRows = [['Path', 'Title', 'Template', 'TemplateMapped', 'Level', 'Components', 'ComponentTypes', 'MaxDepth', 'UnmappedComponents', 'Score', 'Complexity']];
+        inventory.pages.forEach(page => pageRows.push([
+            page.path, page.title, page.template, mapped(page.templateMapped), page.level, page.components,
+            list(page.componentTypes), page.maxDepth, list(page.unmappedComponents), page.score, page.complexity
+        ]));
+
+        const templateRows = [['Template', 'TemplateMapped', 'Pages', 'Components', 'TotalScore', 'AverageScore', 'MaxScore', 'Low', 'Medium', 'High', 'ComponentTypes', 'UnmappedComponents']];
+        inventory.templates.forEach(rollup => templateRows.push([
+            rollup.template, mapped(rollup.templateMapped), rollup.pages, rollup.components, rollup.totalScore, rollup.averageScore,
+            rollup.maxScore, rollup.complexity.low, rollup.complexity.medium, rollup.complexity.high,
+            list(rollup.componentTypes), list(rollup.unmappedComponents)
+        ]));
+
+        const pagesCsvPath = path.join(rootDir, `page_inventory_${packageId}.csv`);
+        const templatesCsvPath = path.join(rootDir, `page_inventory_${packageId}_templates.csv`);
+        await fs.promises.writeFile(pagesCsvPath, toCsv(pageRows), 'utf8');
+        await fs.promises.writeFile(templatesCsvPath, toCsv(templateRows), 'utf8');
+        return { pagesCsvPath, templatesCsvPath };
+    }
+}
+
+module.exports = InventoryService;
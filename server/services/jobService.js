@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Lines kept per job for status requests and late SSE subscribers
+const MAX_LOG_LINES = 500;
+// Finished jobs are dropped after an hour, and beyond the 100 most recent ones
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 100;
+
+class JobService {
+    constructor(migrationService, concurrency = 1) {
+        this.migrationService = migrationService;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+    }
+
+    /**
+     * Queues a migration and returns immediately.
+     * @param {Object} params - { uploadId, mappingReportPath, targetConfig, options }
+     * @returns {Object} The job summary (see toJSON).
+     */
+    submit(params) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            params,
+            progress: { processed: 0, created: 0, failed: 0, total: null, currentPath: null },
+            logs: [],
+            results: null,
+            error: null,
+            submittedAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController(),
+            events: new EventEmitter()
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.appendLog(job, `Job queued for upload ${params.uploadId}`);
+
+        // Let the caller respond before any work starts
+        setImmediate(() => this.next());
+
+        return this.toJSON(job);
+    }
+
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     * The queued or running job writing a migration run: the job that started it or one resuming it.
+     * @param {string} runId
+     * @returns {Object|null}
+     */
+    activeRun(runId) {
+        return Array.from(this.jobs.values()).find(job => {
+            const resume = job.params.options && job.params.options.resume;
+            return !this.isFinished(job) && (job.id === runId || (resume && resume.runId === runId));
+        }) || null;
+    }
+
+    list() {
+        return Array.from(this.jobs.values()).map(job => this.toJSON(job));
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(j => j !== job);
+            this.finish(job, 'cancelled');
+        } else if (job.status === 'running') {
+            // Picked up by the migration between two nodes
+            job.controller.abort();
+            this.appendLog(job, 'Cancellation requested');
+        }
+
+        return this.toJSON(job);
+    }
+
+    next() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.running++;
+            this.execute(job).finally(() => {
+                this.running--;
+                this.next();
+            });
+        }
+    }
+
+    async execute(job) {
+        const { uploadId, mappingReportPath, targetConfig, options } = job.params;
+
+        job.status = 'running';
+        job.startedAt = new Date();
+        job.events.emit('status', this.toJSON(job));
+
+        try {
+            const results = await this.migrationService.migrate(uploadId, mappingReportPath, targetConfig, {
+                // New runs are journaled under the job ID; resumed runs keep their original ID
+                runId: job.id,
+                ...options,
+                signal: job.controller.signal,
+                onProgress: (progress) => {
+                    job.progress = progress;
+                    job.events.emit('progress', this.toJSON(job).progress);
+                },
+                onLog: (line) => this.appendLog(job, line)
+            });
+
+            job.results = results;
+            this.finish(job, results.cancelled ? 'cancelled' : 'completed');
+        } catch (error) {
+            job.error = error.message;
+            this.appendLog(job, `Job failed: ${error.message}`);
+            this.finish(job, 'failed');
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date();
+        job.events.emit('status', this.toJSON(job));
+        job.events.emit('done', this.toJSON(job));
+        this.evict();
+    }
+
+    evict() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => this.isFinished(job))
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+        const expired = Date.now() - FINISHED_JOB_TTL_MS;
+        finished
+            .filter((job, index) => index >= MAX_FINISHED_JOBS || job.finishedAt.getTime() < expired)
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    appendLog(job, message) {
+        const line = { time: new Date().toISOString(), message };
+        job.logs.push(line);
+        if (job.logs.length > MAX_LOG_LINES) job.logs.shift();
+        job.events.emit('log', line);
+    }
+
+    isFinished(job) {
+        return ['completed', 'failed', 'cancelled'].includes(job.status);
+    }
+
+    estimateRemaining(job) {
+        const { processed, total } = job.progress;
+        if (job.status !== 'running' || !total || processed === 0) return null;
+
+        const elapsed = Date.now() - job.startedAt.getTime();
+        return Math.round((elapsed / processed) * (total - processed) / 1000);
+    }
+
+    toJSON(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            uploadId: job.params.uploadId,
+            progress: {
+                ...job.progress,
+                etaSeconds: this.estimateRemaining(job)
+            },
+            results: job.results,
+            error: job.error,
+            submittedAt: job.submittedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+}
+
+module.exports = JobService;
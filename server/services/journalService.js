@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Run IDs are used as directory names
+const RUN_ID = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * On-disk record of migration runs: one directory per run holding
+ * run.json (what was migrated, how, and every attempt) and journal.jsonl
+ * (one line per node written or failed), so interrupted runs can be resumed.
+ */
+class JournalService {
+    constructor(journalDir = path.join(__dirname, '../../migrations')) {
+        this.journalDir = journalDir;
+    }
+
+    runDir(runId) {
+        if (!RUN_ID.test(runId)) {
+            throw new Error(`Invalid migration ID: ${runId}`);
+        }
+        return path.join(this.journalDir, runId);
+    }
+
+    // Malformed IDs cannot name a run, so they do not exist either
+    exists(runId) {
+        if (!RUN_ID.test(runId)) return false;
+        return fs.existsSync(path.join(this.runDir(runId), 'run.json'));
+    }
+
+    async create(runId, meta) {
+        await fs.promises.mkdir(this.runDir(runId), { recursive: true });
+        const run = { id: runId, createdAt: new Date().toISOString(), attempts: [], ...meta };
+        await this.writeMeta(runId, run);
+        return run;
+    }
+
+    async readMeta(runId) {
+        if (!this.exists(runId)) {
+            throw new Error(`Migration not found: ${runId}`);
+        }
+        const content = await fs.promises.readFile(path.join(this.runDir(runId), 'run.json'), 'utf8');
+        return JSON.parse(content);
+    }
+
+    async writeMeta(runId, meta) {
+        await fs.promises.writeFile(path.join(this.runDir(runId), 'run.json'), JSON.stringify(meta, null, 2), 'utf8');
+    }
+
+    async addAttempt(runId, attempt) {
+        const meta = await this.readMeta(runId);
+        meta.attempts.push(attempt);
+        await this.writeMeta(runId, meta);
+        return meta;
+    }
+
+    async record(runId, entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+        await fs.promises.appendFile(path.join(this.runDir(runId), 'journal.jsonl'), `${line}\n`, 'utf8');
+    }
+
+    async readEntries(runId) {
+        const journalPath = path.join(this.runDir(runId), 'journal.jsonl');
+        if (!fs.existsSync(journalPath)) return [];
+
+        const content = await fs.promises.readFile(journalPath, 'utf8');
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Latest journal entry per source path; later attempts override earlier ones.
+     * @returns {Promise<Map<string, Object>>}
+     */
+    async readState(runId) {
+        const state = new Map();
+        (await this.readEntries(runId)).forEach(entry => state.set(entry.sourcePath, entry));
+        return state;
+    }
+
+    // Combined view over every attempt of a run
+    async summarize(runId) {
+        const meta = await this.readMeta(runId);
+        const state = await this.readState(runId);
+        const latest = Array.from(state.values());
+        const failures = latest.filter(e => e.status === 'failed');
+
+        return {
+            runId,
+            attempts: meta.attempts.length,
+            nodesWritten: latest.filter(e => e.status === 'done').length,
+            nodesFailed: failures.length,
+            failures: failures.map(e => ({ sourcePath: e.sourcePath, targetPath: e.targetPath, error: e.error }))
+        };
+    }
+
+    async list() {
+        if (!fs.existsSync(this.journalDir)) return [];
+
+        const entries = await fs.promises.readdir(this.journalDir, { withFileTypes: true });
+        const runs = [];
+        for (const entry of entries) {
+            if (entry.isDirectory() && this.exists(entry.name)) {
+                runs.push(await this.readMeta(entry.name));
+            }
+        }
+        return runs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+}
+
+module.exports = JournalService;
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+// Names that mean the same across AEM projects, compared without case and punctuation.
+// synonyms.json in the knowledge directory adds groups (or replaces these with "replaceDefaults")
+const DEFAULT_SYNONYMS = {
+    templates: [
+        ['content', 'basic', 'generic', 'default'],
+        ['article', 'blog', 'post', 'story', 'news'],
+        ['home', 'homepage', 'root'],
+        ['landing', 'campaign'],
+        ['product', 'productdetail', 'pdp']
+    ],
+    components: [
+        ['textimage', 'teaser'],
+        ['parsys', 'container', 'responsivegrid', 'layoutcontainer'],
+        ['title', 'heading', 'headline'],
+        ['text', 'richtext', 'rte'],
+        ['image', 'picture', 'img'],
+        ['carousel', 'slider', 'slideshow'],
+        ['navigation', 'nav', 'menu'],
+        ['breadcrumb', 'breadcrumbs'],
+        ['download', 'attachment'],
+        ['list', 'pagelist'],
+        ['button', 'cta', 'calltoaction'],
+        ['experiencefragment', 'xf'],
+        ['languagenavigation', 'languageselector']
+    ],
+    properties: [
+        ['jcr:title', 'title', 'heading', 'headline'],
+        ['jcr:description', 'description', 'summary', 'abstract'],
+        ['text', 'richtext', 'body'],
+        ['fileReference', 'image', 'imagePath', 'imageReference'],
+        ['linkURL', 'link', 'href', 'url', 'linkPath'],
+        ['linkText', 'ctaText', 'buttonText', 'actionText'],
+        ['alt', 'altText', 'alternativeText'],
+        ['pretitle', 'eyebrow', 'kicker']
+    ]
+};
+const KINDS = Object.keys(DEFAULT_SYNONYMS);
+
+/**
+ * What auto-mapping learned from earlier projects, kept in a directory (MAPPING_KNOWLEDGE_DIR,
+ * default <root>/knowledge):
+ *   mappings.json  approved source -> target pairs with how often they were used:
+ *     { "components": { "<source>": { "<target>": { "count": 2, "lastSeen": "..." } } },
+ *       "templates": { ... },
+ *       "properties": { "<source>": { "<target>": { "<source property>": { "<target property>": 2 } } } },
+ *       "runs": ["<migration run id>", ...] }
+ *   synonyms.json  extra synonym groups: { "components": [["textimage", "teaser"]], "templates": [...], "properties": [...] }
+ * Finalized mapping reports feed mappings.json, through /api/knowledge/import or after a migration.
+ */
+class KnowledgeService {
+    constructor(storeDir = process.env.MAPPING_KNOWLEDGE_DIR || path.join(__dirname, '../../knowledge')) {
+        this.storeDir = storeDir;
+        // Updates are read-modify-write on one file; run them one at a time
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Everything auto-mapping consults, read fresh so edits apply without a restart.
+     * @returns {Promise<{ store: Object, synonyms: Object }>}
+     */
+    async load() {
+        return { store: await this.readStore(), synonyms: await this.readSynonyms() };
+    }
+
+    async readStore() {
+        const store = await this.readJson('mappings.json');
+        return {
+            templates: store.templates || {},
+            components: store.components || {},
+            properties: store.properties || {},
+            runs: store.runs || []
+        };
+    }
+
+    /**
+     * The default groups plus the configured ones.
+     * @returns {Promise<Object>} { templates: [[...]], components: [[...]], properties: [[...]] }
+     */
+    async readSynonyms() {
+        const configured = await this.readJson('synonyms.json');
+        const synonyms = {};
+        KINDS.forEach(kind => {
+            const own = Array.isArray(configured[kind]) ? configured[kind] : [];
+            synonyms[kind] = configured.replaceDefaults ? own : [...DEFAULT_SYNONYMS[kind], ...own];
+        });
+        return synonyms;
+    }
+
+    /**
+     * Replaces the configured synonym groups.
+     * @param {Object} synonyms - { templates, components, properties, replaceDefaults }; each kind a list of name lists.
+     */
+    async writeSynonyms(synonyms) {
+        const configured = { replaceDefaults: !!synonyms.replaceDefaults };
+        KINDS.forEach(kind => {
+            const groups = synonyms[kind] || [];
+            if (!Array.isArray(groups) || !groups.every(group => Array.isArray(group) && group.every(name => typeof name === 'string'))) {
+                throw new Error(`Synonyms "${kind}" must be a list of lists of names`);
+            }
+            configured[kind] = groups.filter(group => group.length > 1);
+        });
+        await this.writeJson('synonyms.json', configured);
+        return this.readSynonyms();
+    }
+
+    /**
+     * Records the Template and Component rows of a parsed mapping report as approved, with their
+     * one-to-one property renames.
+     * @param {Object} mappings - From MigrationService.parseMappingReport.
+     * @param {string|null} [runId] - The migration run the mappings come from; a run is counted once.
+     * @returns {Promise<{ templates: number, components: number, properties: number }>} Pairs recorded.
+     */
+    learn(mappings, runId = null) {
+        const task = this.pending.then(async () => {
+            const store = await this.readStore();
+            const now = new Date().toISOString();
+            const learned = { templates: 0, components: 0, properties: 0 };
+            if (runId && store.runs.includes(runId)) return learned;
+            if (runId) store.runs.push(runId);
+
+            [['templates', mappings.templates], ['components', mappings.components]].forEach(([kind, bySource]) => {
+                bySource.forEach((rows, source) => rows.forEach(row => {
+                    const targets = store[kind][source] || (store[kind][source] = {});
+                    const entry = targets[row.targetPath] || (targets[row.targetPath] = { count: 0 });
+                    entry.count++;
+                    entry.lastSeen = now;
+                    learned[kind]++;
+
+                    row.rules
+                        .filter(rule => rule.sources.length === 1 && rule.targets.length === 1 && !rule.drop)
+                        .forEach(rule => {
+                            const byTarget = store.properties[source] || (store.properties[source] = {});
+                            const pairs = byTarget[row.targetPath] || (byTarget[row.targetPath] = {});
+                            const counts = pairs[rule.sources[0]] || (pairs[rule.sources[0]] = {});
+                            counts[rule.targets[0]] = (counts[rule.targets[0]] || 0) + 1;
+                            learned.properties++;
+                        });
+                }));
+            });
+
+            await this.writeJson('mappings.json', store);
+            return learned;
+        });
+        this.pending = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * The most used approved target of a source that is among the candidates.
+     * @param {Object} knowledge - From load().
+     * @param {'templates'|'components'} kind
+     * @returns {string|null}
+     */
+    knownTarget(knowledge, kind, source, candidates) {
+        const targets = knowledge && knowledge.store[kind][source];
+        if (!targets) return null;
+        const best = Object.entries(targets)
+            .filter(([target]) => candidates.includes(target))
+            .sort((a, b) => b[1].count - a[1].count)[0];
+        return best ? best[0] : null;
+    }
+
+    /**
+     * The most used approved rename of a property among the target's properties: first from the
+     * same source -> target pair, then from any pair.
+     * @returns {string|null}
+     */
+    knownProperty(knowledge, source, target, sourceProperty, targetProperties) {
+        if (!knowledge) return null;
+        const best = (counts) => {
+            const entry = Object.entries(counts)
+                .filter(([name]) => targetProperties.includes(name))
+                .sort((a, b) => b[1] - a[1])[0];
+            return entry ? entry[0] : null;
+        };
+
+        const pairs = (knowledge.store.properties[source] || {})[target] || {};
+        if (pairs[sourceProperty]) {
+            const found = best(pairs[sourceProperty]);
+            if (found) return found;
+        }
+
+        const anywhere = {};
+        Object.values(knowledge.store.properties).forEach(byTarget => Object.values(byTarget).forEach(properties => {
+            Object.entries(properties[sourceProperty] || {}).forEach(([name, count]) => {
+                anywhere[name] = (anywhere[name] || 0) + count;
+            });
+        }));
+        return best(anywhere);
+    }
+
+    /**
+     * Whether two names are in the same synonym group. Templates and components compare their
+     * last path segment, templates without a "-page" / "-template" suffix.
+     * @param {'templates'|'components'|'properties'} kind
+     */
+    areSynonyms(knowledge, kind, a, b) {
+        if (!knowledge) return false;
+        const first = this.normalize(kind, a);
+        const second = this.normalize(kind, b);
+        if (first === second) return false;
+        return knowledge.synonyms[kind].some(group => {
+            const names = group.map(name => this.normalize('properties', name));
+            return names.includes(first) && names.includes(second);
+        });
+    }
+
+    normalize(kind, name) {
+        let normalized = kind === 'properties' ? name : path.posix.basename(name);
+        normalized = normalized.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (kind === 'templates') normalized = normalized.replace(/(page)?(template)?$/, '') || normalized;
+        return normalized;
+    }
+
+    async readJson(fileName) {
+        const filePath = path.join(this.storeDir, fileName);
+        if (!fs.existsSync(filePath)) return {};
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ${fileName} in ${this.storeDir}: ${error.message}`);
+        }
+    }
+
+    async writeJson(fileName, data) {
+        await fs.promises.mkdir(this.storeDir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.storeDir, fileName), JSON.stringify(data, null, 2), 'utf8');
+    }
+}
+
+module.exports = KnowledgeService;
@@ -3,19 +3,73 @@ const path = require('path');
 const xml2js = require('xml2js');
 const axios = require('axios');
 const FormData = require('form-data');
+const crypto = require('crypto');
+const PackageService = require('./packageService');
+const TransformService = require('./transformService');
+const PluginService = require('./pluginService');
+const ReferenceService = require('./referenceService');
+const RteService = require('./rteService');
+const ScopeService = require('./scopeService');
+const ImportService = require('./importService');
+const { decodeName, decodeXmlName, encodeXmlName, toFsPath, jcrPathOf, isSerializedNode, isAccessControlPolicy } = require('../utils/vaultPath');
+const { appendToForm } = require('../utils/jcrValue');
+const { parsePropertyRules, applyPropertyRules } = require('../utils/propertyRules');
+const { parseCondition, matchesCondition } = require('../utils/mappingConditions');
+const { parseCsvRecords } = require('../utils/csv');
+const { parsePathRule, buildPathRules, mapPath } = require('../utils/pathMapping');
+const JournalService = require('./journalService');
+const { readNodeJson, acceptMultipleChoices } = require('../utils/slingJson');
+const KnowledgeService = require('./knowledgeService');
+
+const packageService = new PackageService();
+const journalService = new JournalService();
+
+// Maintained by the repository; never written back on rollback
+const PROTECTED_PROPERTIES = [
+    'jcr:primaryType', 'jcr:mixinTypes', 'jcr:uuid', 'jcr:created', 'jcr:createdBy',
+    'jcr:baseVersion', 'jcr:predecessors', 'jcr:versionHistory', 'jcr:isCheckedOut'
+];
+
+// Date format of Sling JSON renditions, e.g. "Tue Sep 29 2020 17:36:58 GMT-0700"
+const JSON_DATE_FORMAT = /^[A-Z][a-z]{2} [A-Z][a-z]{2} \d{2} \d{4} \d{2}:\d{2}:\d{2} GMT[+-]\d{4}$/;
 
 class MigrationService {
-    constructor() {
-        this.parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
+    /**
+     * @param {KnowledgeService} [knowledgeService] - Learns the mappings of completed runs; share it
+     *   with everything else that updates the knowledge base.
+     */
+    constructor(knowledgeService = new KnowledgeService()) {
+        this.knowledgeService = knowledgeService;
+        // Empty elements (e.g. <jcr:content/>) are child nodes, not empty string properties
+        this.parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true, emptyTag: () => ({}) });
         this.builder = new xml2js.Builder();
+        this.transformService = new TransformService();
+        this.rteService = new RteService();
     }
 
-    async migrate(uploadId, mappingReportPath, targetConfig) {
-        console.log(`[Migration] Starting migration for upload: ${uploadId}`);
+    async migrate(uploadId, mappingReportPath, targetConfig, options = {}) {
+        // mode: 'aem' posts each node to the target instance, 'package' writes an installable content package
+        const mode = options.mode || 'aem';
+        // dryRun: transform everything and report per-node diffs, but write nothing
+        const dryRun = !!options.dryRun;
+        // Optional hooks used by the job runner: onProgress(progress), onLog(line) and an AbortSignal
+        const hooks = { onProgress: options.onProgress, onLog: options.onLog, signal: options.signal };
+        // Runs writing to AEM keep a journal so they can be resumed; resume is { runId, retryFailedOnly }
+        const journaled = mode === 'aem' && !dryRun;
+        const resume = journaled ? (options.resume || null) : null;
+        const runId = resume ? resume.runId : (options.runId || crypto.randomUUID());
+        this.log(hooks, `${resume ? 'Resuming' : 'Starting'} ${mode} migration${dryRun ? ' (dry run)' : ''} for upload: ${uploadId}`);
 
         // 1. Parsing Mappings
         const mappings = await this.parseMappingReport(mappingReportPath);
-        console.log(`[Migration] Loaded mappings: ${mappings.templates.size} templates, ${mappings.components.size} components`);
+        this.log(hooks, `Loaded mappings: ${mappings.templates.size} templates, ${mappings.components.size} components, ${mappings.structure.length} structural rules, ${mappings.paths.length} path rules`);
+        // Where each source path goes: Path rows, then targetConfig.pathMappings and the root settings
+        const pathRules = buildPathRules(targetConfig, mappings.paths);
+
+        // Loaded per run so new plugin files apply without a restart
+        const plugins = new PluginService();
+        const pluginNames = plugins.load();
+        if (pluginNames.length > 0) this.log(hooks, `Loaded transformer plugins: ${pluginNames.join(', ')}`);
 
         // 2. Locate Source Content
         // Extraction path is usually server/extraction/<uploadId>
@@ -25,207 +79,1015 @@ class MigrationService {
             throw new Error(`Source content not found for ID: ${uploadId}`);
         }
 
+        // What to migrate: the source filter.xml, narrowed by targetConfig.scope
+        const sourceFilterPath = path.join(extractionPath, '..', 'META-INF', 'vault', 'filter.xml');
+        const filters = fs.existsSync(sourceFilterPath) ? await packageService.parseFilterDefinitions(sourceFilterPath) : null;
+        const scope = new ScopeService(filters, targetConfig.scope, targetConfig.sourceRoot);
+
         // 3. Traverse and Migrate
         const results = {
+            mode,
+            dryRun,
             processed: 0,
             created: 0,
-            errors: []
+            binaries: 0,
+            errors: [],
+            cancelled: false
+        };
+        // Nodes changed per RTE rule
+        results.richText = {};
+        // Source paths not written because an earlier source maps to the same target
+        results.pathConflicts = [];
+        // Out of scope paths and pages with the reason, e.g. { path, reason: 'Expired (offTime ...)' }
+        results.skipped = [];
+        // Which Component/Template row mapped each node, and references rewritten or pointing
+        // outside the package (dry runs list these per node instead)
+        if (!dryRun) {
+            results.firedRules = [];
+            results.references = { rewritten: [], outOfScope: [] };
+        }
+        if (journaled) {
+            results.runId = runId;
+            results.skippedFromJournal = 0;
+        }
+        if (dryRun) results.nodes = [];
+        // Total is only needed to report progress, so skip the extra pass otherwise
+        if (hooks.onProgress) results.total = await this.countNodes(extractionPath);
+
+        // Everything a single run needs, threaded through traversal
+        const run = {
+            uploadId,
+            rootPath: extractionPath,
+            mappings,
+            pathRules,
+            // Target path -> the source path written there, to catch two sources mapped onto one target
+            targets: new Map(),
+            plugins,
+            config: targetConfig,
+            mode,
+            dryRun,
+            results,
+            packageFiles: [],
+            packageBinaries: [],
+            pageTemplates: new Map(),
+            scope,
+            // Pages skipped for their properties; their jcr:content subtree is skipped with them
+            skippedPages: new Set(),
+            // Set rewriteReferences: false in the target config to keep references as they are
+            references: targetConfig.rewriteReferences === false ? null :
+                new ReferenceService((sourcePath) => mapPath(pathRules, sourcePath).path, extractionPath),
+            runId,
+            journaled,
+            resume,
+            ...hooks
         };
 
+        // Opt-in: one Sling import per page subtree, written in parallel (see ImportService)
+        run.importer = journaled && targetConfig.batchImport ? this.createImporter(run) : null;
+
+        if (resume) {
+            run.journalState = await journalService.readState(runId);
+        } else if (journaled) {
+            await journalService.create(runId, {
+                uploadId,
+                mappingReportPath,
+                mode,
+                // Never persist credentials
+                config: { ...targetConfig, password: undefined }
+            });
+        }
+        const startedAt = new Date().toISOString();
+
         try {
-            await this.traverseAndMigrate(extractionPath, extractionPath, mappings, targetConfig, results);
+            await this.traverseAndMigrate(extractionPath, run);
+            // A cancelled run only finishes the imports in flight
+            if (run.importer) await run.importer.drain({ discard: results.cancelled });
         } catch (err) {
             console.error("Migration traversal failed", err);
             throw err;
         }
 
+        if (mode === 'aem' && !dryRun) {
+            const seconds = (Date.now() - Date.parse(startedAt)) / 1000;
+            results.throughput = {
+                seconds,
+                nodes: results.created,
+                binaries: results.binaries,
+                nodesPerSecond: seconds > 0 ? Math.round(results.created / seconds * 100) / 100 : results.created,
+                ...(run.importer ? run.importer.report() : {})
+            };
+            this.log(run, `Throughput: ${results.throughput.nodesPerSecond} nodes/s over ${seconds}s`);
+        }
+
+        if (journaled) {
+            await journalService.addAttempt(runId, {
+                startedAt,
+                finishedAt: new Date().toISOString(),
+                resumed: !!resume,
+                retryFailedOnly: !!(resume && resume.retryFailedOnly),
+                processed: results.processed,
+                created: results.created,
+                failed: results.errors.length,
+                cancelled: results.cancelled
+            });
+            // Combined over every attempt of this run
+            results.summary = await journalService.summarize(runId);
+        }
+
+        if (results.cancelled) {
+            this.log(run, `Migration cancelled after ${results.processed} nodes`);
+            return results;
+        }
+
+        // 4. Offline mode: bundle everything that was transformed into a package
+        if (mode === 'package' && !dryRun) {
+            results.package = await this.writePackage(run);
+        }
+
+        this.log(run, `Migration finished: ${results.created} nodes and ${results.binaries} binaries written, ${results.errors.length} failed`);
+
+        // The mappings of a run that wrote everything without errors are approved ones; auto-mapping
+        // learns them once per run (targetConfig.learnMappings: false to opt out). Resumed runs count
+        // over all their attempts
+        const failed = results.summary ? results.summary.nodesFailed : results.errors.length;
+        const written = results.summary ? results.summary.nodesWritten : results.created;
+        if (!dryRun && targetConfig.learnMappings !== false && failed === 0 && written > 0) {
+            try {
+                const learned = await this.knowledgeService.learn(mappings, runId);
+                this.log(run, `Mapping knowledge base: learned ${learned.templates} templates, ${learned.components} components, ${learned.properties} property renames`);
+            } catch (error) {
+                this.log(run, `Could not update the mapping knowledge base: ${error.message}`);
+            }
+        }
+
         return results;
     }
 
     async parseMappingReport(filePath) {
         const content = await fs.promises.readFile(filePath, 'utf8');
-        const lines = content.split('\n');
+        const { records } = parseCsvRecords(content);
 
+        // Source -> candidate rules, best first (see selectMapping)
         const templates = new Map();
         const components = new Map();
+        const structure = [];
+        const richText = [];
+        const paths = [];
 
-        // Skip header
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue;
-
-            // Simple CSV parsing (assuming quotes are handled reasonably)
-            // Use regex to handle quoted fields containing delimiters
-            const parts = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g);
-            if (!parts || parts.length < 3) continue;
-
-            const type = parts[0].replace(/"/g, '');
-            const source = parts[1].replace(/"/g, '');
-            const target = parts[2].replace(/"/g, '');
-            const propsStr = parts[3] ? parts[3].replace(/"/g, '') : '';
-
-            if (type === 'Template' || type === 'Component') {
-                // Parse properties "s=t;s2=t2"
-                const propMap = {};
-                if (propsStr) {
-                    propsStr.split(';').forEach(pair => {
-                        const [s, t] = pair.split('=');
-                        if (s && t) propMap[s.trim()] = t.trim();
-                    });
-                }
+        for (const record of records) {
+            const type = record.get('Type');
+            const source = record.get('Source');
+            const target = record.get('Target');
+            const propsStr = record.get('Properties');
+            // Auto-mapping writes rows it could not match with this target; they map nothing
+            if (!type || !source || !target || target.toLowerCase() === 'no match found') continue;
 
-                if (type === 'Template') {
-                    templates.set(source, {
-                        targetPath: target,
-                        properties: propMap
-                    });
-                } else {
-                    components.set(source, {
+            try {
+                if (type === 'Template' || type === 'Component') {
+                    const conditionText = record.get('Condition');
+                    const priority = record.get('Priority');
+                    if (priority && !/^-?\d+$/.test(priority)) {
+                        throw new Error(`Priority must be a whole number, got "${priority}"`);
+                    }
+
+                    const mapping = {
+                        type,
+                        source,
                         targetPath: target,
-                        properties: propMap
-                    });
+                        // Renames ("s=t;s2=t2") plus value operations, see utils/propertyRules
+                        rules: parsePropertyRules(propsStr),
+                        condition: parseCondition(conditionText),
+                        conditionText: conditionText || null,
+                        priority: priority ? Number(priority) : 0,
+                        line: record.line
+                    };
+
+                    const bySource = type === 'Template' ? templates : components;
+                    if (!bySource.has(source)) bySource.set(source, []);
+                    bySource.get(source).push(mapping);
+                } else if (TransformService.STRUCTURAL_TYPES.includes(type)) {
+                    structure.push(this.transformService.parseStructuralRule(type, source, target, propsStr));
+                } else if (type === 'Path') {
+                    paths.push(parsePathRule(source, target, `mapping report line ${record.line}`));
+                } else if (type === 'RTE') {
+                    // Applied to properties flagged with |richtext
+                    richText.push(this.rteService.parseRule(source, target, record.line));
                 }
+            } catch (error) {
+                throw new Error(`Mapping report line ${record.line}: ${error.message}`);
             }
         }
 
-        return { templates, components };
+        // Higher priority first; on a tie conditional rows beat catch-all rows, then file order
+        for (const candidates of [...templates.values(), ...components.values()]) {
+            candidates.sort((x, y) => (y.priority - x.priority) || ((y.condition ? 1 : 0) - (x.condition ? 1 : 0)) || (x.line - y.line));
+        }
+
+        return { templates, components, structure, richText, paths };
+    }
+
+    // The first candidate rule whose condition holds for the node, or null
+    selectMapping(candidates, subject) {
+        if (!candidates) return null;
+        return candidates.find(mapping => matchesCondition(mapping.condition, subject)) || null;
     }
 
-    async traverseAndMigrate(currentPath, rootPath, mappings, config, results) {
+    async traverseAndMigrate(currentPath, run) {
+        // Cancellation is only honoured between nodes so a node is never half written
+        if (this.isCancelled(run)) return;
+
         const stats = await fs.promises.stat(currentPath);
 
         if (stats.isDirectory()) {
-            const children = await fs.promises.readdir(currentPath);
+            const entries = await fs.promises.readdir(currentPath);
+            const nodePath = jcrPathOf(run.rootPath, currentPath);
+            let sourceNode = null;
+            let isAsset = false;
 
             // Check for .content.xml aka JCR Node
-            if (children.includes('.content.xml')) {
-                await this.processNode(currentPath, rootPath, mappings, config, results);
+            if (entries.includes('.content.xml')) {
+                sourceNode = await this.processNode(path.join(currentPath, '.content.xml'), nodePath, run);
+                this.reportProgress(run);
+
+                isAsset = await this.readPrimaryType(path.join(currentPath, '.content.xml')) === 'dam:Asset';
+                if (isAsset) {
+                    await this.processAssetOriginal(currentPath, run);
+                }
             }
 
+            const children = this.inSourceOrder(entries, sourceNode);
             for (const child of children) {
                 if (child === '.content.xml' || child === 'META-INF') continue;
-                await this.traverseAndMigrate(path.join(currentPath, child), rootPath, mappings, config, results);
+                // .dir folders only hold the properties of the binary next to them
+                if (child.endsWith('.dir') && children.includes(child.slice(0, -4))) continue;
+                // Renditions other than the original are regenerated by the target's DAM workflows
+                if (isAsset && child === '_jcr_content') continue;
+                if (this.isCancelled(run)) return;
+                // The node's own content is complete before its child pages
+                if (run.importer && child !== '_jcr_content') run.importer.complete(nodePath);
+                await this.traverseAndMigrate(path.join(currentPath, child), run);
             }
+            if (run.importer) run.importer.complete(nodePath);
+        } else if (path.basename(currentPath).startsWith('.')) {
+            // Dot files (.vlt, .DS_Store) are tooling leftovers, not content
+            return;
+        } else if (await isSerializedNode(currentPath)) {
+            // Full coverage aggregate: <name>.xml is the whole node <name>. A <name>/ folder next to it
+            // may hold further children and is traversed on its own.
+            const nodeFsPath = currentPath.slice(0, -'.xml'.length);
+            if (run.mode === 'aem' && isAccessControlPolicy(currentPath)) {
+                this.skip(run, jcrPathOf(run.rootPath, nodeFsPath), 'Access control policy (only installed with a content package)');
+                return;
+            }
+            await this.processNode(currentPath, jcrPathOf(run.rootPath, nodeFsPath), run);
+            if (run.importer) run.importer.complete(jcrPathOf(run.rootPath, nodeFsPath));
+            this.reportProgress(run);
+        } else {
+            // Any other file is a binary (nt:file), e.g. images or PDFs outside the DAM
+            await this.processBinary(currentPath, run);
         }
     }
 
-    async processNode(nodePath, rootPath, mappings, config, results) {
-        const xmlPath = path.join(nodePath, '.content.xml');
+    /**
+     * Orders folder entries like the child nodes in the parent's .content.xml, so nodes are written
+     * in their source sibling order. jcr:content comes first; entries the XML does not list
+     * (binaries, .dir folders, ...) keep their place after the listed ones.
+     */
+    inSourceOrder(children, sourceNode) {
+        const order = Object.keys(sourceNode || {})
+            .filter(key => typeof sourceNode[key] === 'object' && sourceNode[key] !== null)
+            .map(key => decodeXmlName(key));
+        const rank = (child) => {
+            const name = decodeName(child.endsWith('.xml') ? child.slice(0, -'.xml'.length) : child);
+            if (name === 'jcr:content') return -1;
+            const index = order.indexOf(name);
+            return index < 0 ? order.length : index;
+        };
+        // Array.prototype.sort is stable, so unlisted entries keep the file system order
+        return [...children].sort((a, b) => rank(a) - rank(b));
+    }
+
+    async readPrimaryType(xmlPath) {
         const xmlContent = await fs.promises.readFile(xmlPath, 'utf8');
+        const match = xmlContent.match(/<jcr:root\b[^>]*?\sjcr:primaryType="([^"]+)"/);
+        return match ? match[1] : null;
+    }
+
+    async processAssetOriginal(assetPath, run) {
+        const originalPath = path.join(assetPath, '_jcr_content', 'renditions', 'original');
+        if (!fs.existsSync(originalPath)) return;
+
+        await this.processBinary(originalPath, run, {
+            // Lets the upload guess the mime type from the asset name (e.g. photo.jpg) if .dir has none
+            fileName: decodeName(path.basename(assetPath)),
+            parentPrimaryType: 'nt:folder'
+        });
+    }
+
+    async processBinary(filePath, run, overrides = {}) {
+        const { results } = run;
+        const relPath = jcrPathOf(run.rootPath, filePath);
+        run.currentPath = relPath;
+
+        if (this.isOutOfScope(run, relPath)) return;
+        if (!this.shouldProcess(run, relPath)) {
+            results.skippedFromJournal++;
+            return;
+        }
+
+        const targetPath = this.rebasePath(relPath, run);
+        if (!this.claimTarget(run, relPath, targetPath)) return;
 
         try {
-            const result = await this.parser.parseStringPromise(xmlContent);
+            if (run.dryRun) {
+                results.nodes.push({ sourcePath: relPath, targetPath, binary: true });
+                return;
+            }
 
-            // Determine relative path for target
-            // relPath is the path from the jcr_root, e.g. /content/wknd/us/en
-            let relPath = nodePath.replace(rootPath, '');
+            const binary = {
+                filePath,
+                fileName: overrides.fileName || decodeName(path.basename(filePath)),
+                mimeType: await this.readMimeType(`${filePath}.dir`),
+                parentPrimaryType: overrides.parentPrimaryType
+            };
+            if (run.importer) {
+                await run.importer.addBinary({ sourcePath: relPath, targetPath, file: filePath, binary });
+                return;
+            }
+            const written = await this.writeBinary(run, targetPath, binary);
 
-            let finalTargetPath = relPath;
+            results.binaries++;
+            await this.journal(run, { sourcePath: relPath, targetPath, status: 'done', binary: true, ...written });
+        } catch (e) {
+            console.error(`Error uploading ${filePath}`, e);
+            results.errors.push({ path: filePath, error: e.message });
+            if (run.onLog) run.onLog(`Error uploading ${filePath}: ${e.message}`);
+            await this.journal(run, { sourcePath: relPath, targetPath, status: 'failed', binary: true, error: e.message });
+        }
+    }
 
-            // PATH REBASING LOGIC
-            // If user provided a Target Root (e.g. /content/mysite)
-            // AND we have a known Source Root (e.g. /content/wknd)
-            // We should rewrite /content/wknd/us/en -> /content/mysite/us/en
+    // jcr:mimeType from the binary's .dir/.content.xml, if the package has one
+    async readMimeType(dirPath) {
+        const xmlPath = path.join(dirPath, '.content.xml');
+        if (!fs.existsSync(xmlPath)) return null;
 
-            if (config.targetRoot && config.sourceRoot) {
-                if (relPath.startsWith(config.sourceRoot)) {
-                    finalTargetPath = relPath.replace(config.sourceRoot, config.targetRoot);
-                } else {
-                    // Fallback: If path doesn't start with source root (e.g. /conf vs /content), 
-                    // maybe we shouldn't move it, or maybe we append?
-                    // For safety, if it's content, let's try to anchor it.
-                    // But if it's mismatching, we might just keep it as is or log a warning.
-                    // Let's assume content matches source root.
-                }
-            } else if (config.targetRoot) {
-                // No source root known? Just try to use targetRoot?
-                // That's risky. Let's stick to relPath if no sourceRoot match.
+        const result = await this.parser.parseStringPromise(await fs.promises.readFile(xmlPath, 'utf8'));
+        const content = result['jcr:root'] && result['jcr:root']['jcr:content'];
+        return (content && content['jcr:mimeType']) || null;
+    }
+
+    async writeBinary(run, targetPath, binary) {
+        if (run.mode === 'package') {
+            run.packageBinaries.push({ path: targetPath, filePath: binary.filePath });
+            return {};
+        }
+
+        const { config } = run;
+        const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+
+        const priorState = await this.fetchNodeJson(config.targetUrl, targetPath, 0, auth);
+        await this.uploadBinary(config.targetUrl, targetPath, binary, auth);
+
+        return priorState ? { action: 'modified', priorState } : { action: 'created' };
+    }
+
+    // Sling POST file upload: the field name is the nt:file node created below the parent
+    async uploadBinary(targetUrl, nodePath, binary, auth) {
+        const parentPath = path.posix.dirname(nodePath);
+        const nodeName = path.posix.basename(nodePath);
+
+        const form = new FormData();
+        if (binary.parentPrimaryType) {
+            form.append('jcr:primaryType', binary.parentPrimaryType);
+        }
+        form.append(nodeName, fs.createReadStream(binary.filePath), {
+            filename: binary.fileName,
+            ...(binary.mimeType ? { contentType: binary.mimeType } : {})
+        });
+
+        try {
+            await axios.post(this.nodeUrl(targetUrl, parentPath), form, {
+                headers: { ...form.getHeaders(), 'Authorization': `Basic ${auth}` },
+                maxBodyLength: Infinity
+            });
+        } catch (error) {
+            const status = error.response ? error.response.status : 'Unknown';
+            const statusText = error.response ? error.response.statusText : '';
+            throw Object.assign(new Error(`Failed to upload binary ${nodePath}: ${status} ${statusText}`.trim()), { status, code: error.code });
+        }
+    }
+
+    async countNodes(currentPath) {
+        const entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
+        let count = entries.some(e => e.name === '.content.xml') ? 1 : 0;
+
+        for (const entry of entries) {
+            if (entry.isDirectory() && entry.name !== 'META-INF') {
+                count += await this.countNodes(path.join(currentPath, entry.name));
+            } else if (entry.isFile() && entry.name.endsWith('.xml') && entry.name !== '.content.xml') {
+                // Most likely a full coverage aggregate; close enough for progress reporting
+                count++;
             }
+        }
+        return count;
+    }
 
-            results.processed++;
+    isCancelled(run) {
+        if (run.signal && run.signal.aborted) {
+            run.results.cancelled = true;
+        }
+        return run.results.cancelled;
+    }
+
+    reportProgress(run) {
+        if (!run.onProgress) return;
+        const { results } = run;
+        run.onProgress({
+            processed: results.processed,
+            created: results.created,
+            failed: results.errors.length,
+            total: results.total,
+            currentPath: run.currentPath
+        });
+    }
+
+    log(run, message) {
+        console.log(`[Migration] ${message}`);
+        if (run.onLog) run.onLog(message);
+    }
+
+    // xmlPath is the node's .content.xml (or <name>.xml aggregate),
+    // relPath its decoded JCR path from the jcr_root, e.g. /content/wknd/us/en/jcr:content.
+    // Returns the parsed source node (for the sibling order of its folder), or null
+    async processNode(xmlPath, relPath, run) {
+        const { results } = run;
+        run.currentPath = relPath;
+
+        const xmlContent = await fs.promises.readFile(xmlPath, 'utf8');
+        const finalTargetPath = this.rebasePath(relPath, run);
+
+        try {
+            const result = await this.parser.parseStringPromise(xmlContent);
 
             const rootNode = result['jcr:root'];
-            if (!rootNode) return;
+            // Resumed runs skip what the journal says is already done. Out of scope content is
+            // checked first, so it is not counted as skipped from the journal
+            if (!this.shouldProcess(run, relPath)) {
+                if (this.isOutOfScope(run, relPath, rootNode || null)) return null;
+                results.skippedFromJournal++;
+                // Written by an earlier attempt, so later sources must not take its target
+                this.claimTarget(run, relPath, finalTargetPath);
+                // Pages below may still need this page's template for their conditions
+                if (rootNode) this.pageTemplate(run, relPath, rootNode);
+                return null;
+            }
+            if (!rootNode) {
+                results.processed++;
+                return null;
+            }
+            if (this.isOutOfScope(run, relPath, rootNode) || !this.claimTarget(run, relPath, finalTargetPath)) return rootNode;
+
+            results.processed++;
 
             // --- TRANSFORM ---
-            const transformedData = this.transformNode(rootNode, mappings);
+            const restructured = await this.restructureNode(rootNode, xmlPath, relPath, finalTargetPath, run);
+            const context = {
+                path: relPath,
+                template: this.pageTemplate(run, relPath, rootNode),
+                fired: [],
+                richTextCounts: results.richText
+            };
+
+            if (run.dryRun) {
+                const diff = { structure: restructured.applied, rules: context.fired, renamed: [], changed: [], removed: [], untouched: [] };
+                const transformed = this.transformNode(restructured.node, run.mappings, diff, context);
+                diff.references = { rewritten: [], outOfScope: [] };
+                this.rewriteReferences(transformed, relPath, run, diff.references);
+                results.nodes.push({ sourcePath: relPath, targetPath: finalTargetPath, diff });
+                return rootNode;
+            }
+
+            const transformed = this.transformNode(restructured.node, run.mappings, null, context);
+            results.firedRules.push(...context.fired);
+            const transformedData = this.rewriteReferences(transformed, relPath, run, results.references);
+            const filterMode = run.scope.filterMode(relPath);
 
-            // POST to AEM
-            const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
-            await this.createNode(config.targetUrl, finalTargetPath, transformedData, auth);
+            // Batched imports are counted and journaled once their batch is written
+            if (run.importer) {
+                await run.importer.addNode({ sourcePath: relPath, targetPath: finalTargetPath, file: xmlPath, data: transformedData, filterMode });
+                return rootNode;
+            }
+
+            const written = await this.writeNode(run, finalTargetPath, transformedData, filterMode);
+            if (written.kept) {
+                this.skip(run, relPath, 'Exists in target (filter mode merge)');
+                return rootNode;
+            }
 
             results.created++;
+            await this.journal(run, { sourcePath: relPath, targetPath: finalTargetPath, status: 'done', ...written });
+            return rootNode;
 
         } catch (e) {
             console.error(`Error processing ${xmlPath}`, e);
             results.errors.push({ path: xmlPath, error: e.message });
+            if (run.onLog) run.onLog(`Error processing ${xmlPath}: ${e.message}`);
+            await this.journal(run, { sourcePath: relPath, targetPath: finalTargetPath, status: 'failed', error: e.message });
+            return null;
         }
     }
 
-    transformNode(node, mappings) {
-        if (!node || typeof node !== 'object') return node;
+    /**
+     * Checks a node against the migration scope and records why it is skipped. Pass the parsed
+     * node to check page properties; files below a skipped page's jcr:content go with the page.
+     */
+    isOutOfScope(run, relPath, rootNode = null) {
+        const { scope } = run;
+        const pathReason = scope.pathReason(relPath);
+        if (pathReason !== null) {
+            // Ancestors of filter roots ("") are containers, not skipped content
+            if (pathReason) this.skip(run, relPath, pathReason);
+            return true;
+        }
+
+        if (run.skippedPages.has(scope.pagePathOf(relPath))) return true;
+        if (!rootNode || !scope.hasPageChecks()) return false;
+
+        // A page with its jcr:content inline, or the jcr:content node of a page
+        let pageProperties = null;
+        let pagePath = relPath;
+        if (rootNode['jcr:primaryType'] === 'cq:Page') {
+            pageProperties = rootNode['jcr:content'] || {};
+        } else if (relPath.endsWith('/jcr:content')) {
+            pageProperties = rootNode;
+            pagePath = scope.pagePathOf(relPath);
+        }
+        if (!pageProperties) return false;
+
+        const pageReason = scope.pageReason(pageProperties);
+        if (pageReason === null) return false;
+
+        // Child pages are still checked on their own
+        run.skippedPages.add(pagePath);
+        this.skip(run, pagePath, pageReason);
+        return true;
+    }
+
+    skip(run, relPath, reason) {
+        // Paths below an already skipped path are not listed again
+        const covered = run.results.skipped.some(entry => relPath === entry.path || relPath.startsWith(`${entry.path}/`));
+        if (!covered) run.results.skipped.push({ path: relPath, reason });
+    }
+
+    createImporter(run) {
+        const { results } = run;
+        const fail = async (item, error, binary = false) => {
+            results.errors.push({ path: item.file, error: error.message });
+            if (run.onLog) run.onLog(`Error writing ${item.file}: ${error.message}`);
+            await this.journal(run, { sourcePath: item.sourcePath, targetPath: item.targetPath, status: 'failed', ...(binary ? { binary } : {}), error: error.message });
+        };
+
+        return new ImportService(run.config, {
+            nodeUrl: (targetUrl, nodePath, suffix) => this.nodeUrl(targetUrl, nodePath, suffix),
+            nodeDepth: (data) => this.nodeDepth(data),
+            writeBinary: (targetPath, binary) => this.writeBinary(run, targetPath, binary),
+            onWritten: async (batch, outcome) => {
+                if (outcome.kept) {
+                    batch.items.forEach(item => this.skip(run, item.sourcePath, 'Exists in target (filter mode merge)'));
+                } else if (batch.hasContent) {
+                    // Rollback undoes the batch through its root; the other nodes are only marked done
+                    const rootWrite = outcome.priorState ? { action: 'modified', priorState: outcome.priorState } : { action: 'created' };
+                    if (!batch.items.some(item => item.sourcePath === batch.sourcePath)) {
+                        await this.journal(run, { sourcePath: batch.sourcePath, targetPath: batch.targetPath, status: 'done', ...rootWrite });
+                    }
+                    for (const item of batch.items) {
+                        results.created++;
+                        await this.journal(run, {
+                            sourcePath: item.sourcePath,
+                            targetPath: item.targetPath,
+                            status: 'done',
+                            ...(item.sourcePath === batch.sourcePath ? rootWrite : {})
+                        });
+                    }
+                }
+
+                for (const { item, written, error } of outcome.binaries) {
+                    if (error) {
+                        await fail(item, error, true);
+                        continue;
+                    }
+                    results.binaries++;
+                    await this.journal(run, { sourcePath: item.sourcePath, targetPath: item.targetPath, status: 'done', binary: true, ...written });
+                }
+                this.reportProgress(run);
+            },
+            onFailed: async (batch, error) => {
+                for (const item of batch.items) await fail(item, error);
+                for (const item of batch.binaries) await fail(item, error, true);
+                this.reportProgress(run);
+            }
+        });
+    }
 
-        const newNode = {};
+    shouldProcess(run, relPath) {
+        if (!run.journalState) return true;
+
+        const entry = run.journalState.get(relPath);
+        if (run.resume.retryFailedOnly) {
+            return !!entry && entry.status === 'failed';
+        }
+        return !entry || entry.status !== 'done';
+    }
+
+    async journal(run, entry) {
+        if (!run.journaled) return;
+        await journalService.record(run.runId, entry);
+    }
+
+    /**
+     * Builds migrate() arguments that continue an earlier run.
+     * Credentials are never journaled, so they have to come with targetConfig.
+     */
+    async prepareResume(runId, targetConfig = {}, retryFailedOnly = false) {
+        const meta = await journalService.readMeta(runId);
+        return {
+            uploadId: meta.uploadId,
+            mappingReportPath: meta.mappingReportPath,
+            targetConfig: { ...meta.config, ...targetConfig },
+            options: { mode: meta.mode, resume: { runId, retryFailedOnly } }
+        };
+    }
+
+    rebasePath(relPath, run) {
+        return mapPath(run.pathRules, relPath).path;
+    }
+
+    /**
+     * Registers the target a source path maps to. Returns false, and reports the conflict,
+     * when another source path already maps there; the later one is not written.
+     */
+    claimTarget(run, sourcePath, targetPath) {
+        const claimedBy = run.targets.get(targetPath);
+        if (claimedBy === undefined) {
+            run.targets.set(targetPath, sourcePath);
+            return true;
+        }
+        if (claimedBy === sourcePath) return true;
+
+        run.results.pathConflicts.push({ targetPath, sources: [claimedBy, sourcePath] });
+        this.log(run, `Path conflict: ${sourcePath} and ${claimedBy} both map to ${targetPath}`);
+        return false;
+    }
+
+    // filterMode "merge" keeps nodes that already exist on the target; they come back as { kept: true }
+    async writeNode(run, targetPath, nodeData, filterMode = 'replace') {
+        if (run.mode === 'package') {
+            // Collected and zipped once traversal is done
+            run.packageFiles.push({ path: targetPath, data: nodeData });
+            return {};
+        }
+
+        // POST to AEM
+        const { config } = run;
+        const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+
+        // Rollback support: remember whether the node existed and what it looked like before
+        const priorState = await this.fetchNodeJson(config.targetUrl, targetPath, this.nodeDepth(nodeData), auth);
+        if (priorState && filterMode === 'merge') return { kept: true };
+        await this.createNode(config.targetUrl, targetPath, nodeData, auth);
+
+        return priorState ? { action: 'modified', priorState } : { action: 'created' };
+    }
+
+    // URL of a JCR path on the target. Names may contain characters that are not URL safe (e.g. "?")
+    nodeUrl(targetUrl, nodePath, suffix = '') {
+        const encoded = (nodePath || '/').split('/').map(segment => encodeURIComponent(segment).replace(/%3A/g, ':')).join('/');
+        // The repository root is addressed as "/", e.g. "/.json"
+        return `${targetUrl}${encoded || '/'}${suffix}`;
+    }
+
+    // How many levels of inline child nodes the data has (0 = properties only)
+    nodeDepth(nodeData) {
+        let depth = 0;
+        for (const value of Object.values(nodeData)) {
+            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                depth = Math.max(depth, 1 + this.nodeDepth(value));
+            }
+        }
+        return depth;
+    }
+
+    // Sling JSON rendition of a target node, or null if it does not exist
+    async fetchNodeJson(targetUrl, nodePath, depth, auth) {
+        try {
+            return await readNodeJson((readPath, readDepth) => axios.get(this.nodeUrl(targetUrl, readPath, `.${readDepth}.json`), {
+                headers: { 'Authorization': `Basic ${auth}` },
+                validateStatus: acceptMultipleChoices
+            }), nodePath, depth);
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            const status = error.response ? error.response.status : 'Unknown';
+            // Status and code let the batch importer retry transient failures
+            throw Object.assign(new Error(`Failed to read node ${nodePath}: ${status} ${error.message}`), { status, code: error.code });
+        }
+    }
+
+    async writePackage(run) {
+        const { config, uploadId } = run;
+
+        // Filter roots: the source package roots moved to their target location (keeping their mode),
+        // plus the top-most written paths no root covers, e.g. without a source filter or when
+        // path rules move content out of its root
+        let roots = (run.scope.filters || []).map(filter => ({ root: this.rebasePath(filter.root, run), mode: filter.mode }));
+        const written = [...run.packageFiles, ...run.packageBinaries].map(f => f.path).sort();
+        written.forEach(p => {
+            if (!roots.some(({ root }) => root === '/' || p === root || p.startsWith(`${root}/`))) {
+                roots.push({ root: p });
+            }
+        });
+        roots = roots.filter((filter, index) => roots.findIndex(other => other.root === filter.root) === index);
+
+        // Skipped content must not be replaced by its absence when the package is installed.
+        // Skipped pages keep their child pages, so only the page node and its jcr:content are excluded.
+        run.results.skipped.forEach(({ path: sourcePath }) => {
+            const target = this.rebasePath(sourcePath, run);
+            const filter = roots.find(({ root }) => root === '/' || target.startsWith(`${root}/`));
+            if (!filter) return;
+            const escaped = target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.rules = filter.rules || [];
+            if (run.skippedPages.has(sourcePath)) {
+                filter.rules.push({ type: 'exclude', pattern: escaped }, { type: 'exclude', pattern: `${escaped}/jcr:content(/.*)?` });
+            } else {
+                filter.rules.push({ type: 'exclude', pattern: `${escaped}(/.*)?` });
+            }
+        });
+
+        const definition = {
+            name: config.packageName || `migrated-${uploadId}`,
+            group: config.packageGroup || 'content-migration',
+            version: config.packageVersion || '1.0.0',
+            description: config.packageDescription || `Migrated content from upload ${uploadId}`,
+            roots,
+            files: run.packageFiles.map(file => ({
+                path: `jcr_root${toFsPath(file.path)}/.content.xml`,
+                content: this.toContentXml(file.data)
+            }))
+        };
+
+        // Binaries are copied as they are, together with their .dir properties if present
+        for (const binary of run.packageBinaries) {
+            const entryPath = `jcr_root${toFsPath(binary.path)}`;
+            definition.files.push({ path: entryPath, content: await fs.promises.readFile(binary.filePath) });
+
+            const dirXml = path.join(`${binary.filePath}.dir`, '.content.xml');
+            if (fs.existsSync(dirXml)) {
+                definition.files.push({ path: `${entryPath}.dir/.content.xml`, content: await fs.promises.readFile(dirXml) });
+            }
+        }
+
+        const fileName = `${definition.name}-${definition.version}.zip`.replace(/[^a-z0-9._-]/gi, '_');
+        const outputPath = path.join(__dirname, '../../packages', fileName);
+
+        console.log(`[Migration] Writing content package to: ${outputPath}`);
+        await packageService.createPackage(outputPath, definition);
+
+        return {
+            fileName,
+            path: outputPath,
+            name: definition.name,
+            group: definition.group,
+            version: definition.version,
+            roots: definition.roots.map(filter => filter.root),
+            nodes: run.packageFiles.length,
+            binaries: run.packageBinaries.length
+        };
+    }
+
+    toContentXml(nodeData) {
+        return this.builder.buildObject({ 'jcr:root': this.toXmlElement(nodeData) });
+    }
+
+    // Inverse of the parser settings: string values become attributes, objects become child elements
+    toXmlElement(node) {
+        const attributes = {};
+        const children = {};
 
-        // 1. Process Properties
         for (const [key, value] of Object.entries(node)) {
-            let newKey = key;
-            let newValue = value;
+            if (Array.isArray(value)) {
+                children[key] = value.map(v => (typeof v === 'object' && v !== null) ? this.toXmlElement(v) : v);
+            } else if (typeof value === 'object' && value !== null) {
+                children[key] = this.toXmlElement(value);
+            } else if (key !== '_') {
+                attributes[key] = String(value);
+            }
+        }
 
-            // Recursively transform children
+        return Object.keys(attributes).length > 0 ? { $: attributes, ...children } : children;
+    }
+
+    // Points links and asset references at the migrated locations, collecting what changed into report
+    rewriteReferences(node, relPath, run, report) {
+        if (!run.references) return node;
+
+        const outcome = run.references.rewriteNode(node, relPath);
+        report.rewritten.push(...outcome.rewritten);
+        report.outOfScope.push(...outcome.outOfScope);
+        return outcome.node;
+    }
+
+    /**
+     * Template of the page a file belongs to. Pages are migrated before what lies below them,
+     * so templates seen so far are kept by page path for files deeper in the tree.
+     */
+    pageTemplate(run, relPath, rootNode) {
+        const pageContent = rootNode['jcr:content'];
+        if (pageContent && typeof pageContent === 'object' && pageContent['cq:template']) {
+            run.pageTemplates.set(relPath, pageContent['cq:template']);
+        }
+        // The file is a page's jcr:content
+        if (rootNode['cq:template'] && relPath.endsWith('/jcr:content')) {
+            run.pageTemplates.set(relPath.substring(0, relPath.lastIndexOf('/')), rootNode['cq:template']);
+        }
+
+        for (let pagePath = relPath; pagePath; pagePath = pagePath.substring(0, pagePath.lastIndexOf('/'))) {
+            if (run.pageTemplates.has(pagePath)) return run.pageTemplates.get(pagePath);
+        }
+        return undefined;
+    }
+
+    // Wrap/Unwrap/Split/Move rules and then plugins, applied by TransformService on a { name, properties, children } tree
+    async restructureNode(rootNode, xmlPath, relPath, targetPath, run) {
+        const { mappings, plugins } = run;
+        if (mappings.structure.length === 0 && !plugins.hasHandlers()) return { node: rootNode, applied: [] };
+
+        const tree = this.toTree('jcr:root', rootNode);
+        const applied = this.transformService.applyStructuralRules(tree, mappings.structure);
+
+        const outcome = await this.transformService.applyPlugins(tree, plugins, {
+            sourcePath: relPath,
+            targetPath,
+            mappings,
+            // Plugins have no business with credentials
+            config: { ...run.config, password: undefined },
+            log: (message) => this.log(run, message)
+        });
+
+        // A failing plugin leaves its node as it was and the rest of the file is still migrated
+        for (const error of outcome.errors) {
+            const nodePath = error.path ? `${relPath.replace(/\/$/, '')}/${error.path}` : relPath;
+            run.results.errors.push({ path: xmlPath, node: nodePath, plugin: error.plugin, error: error.error });
+            this.log(run, `Plugin ${error.plugin} failed on ${nodePath}: ${error.error}`);
+        }
+
+        return { node: this.fromTree(tree), applied: [...applied, ...outcome.applied] };
+    }
+
+    toTree(name, xmlNode) {
+        const node = { name: decodeXmlName(name), properties: {}, children: [] };
+        for (const [key, value] of Object.entries(xmlNode)) {
             if (typeof value === 'object' && !Array.isArray(value)) {
-                newNode[key] = this.transformNode(value, mappings);
-                continue;
+                node.children.push(this.toTree(key, value));
+            } else {
+                node.properties[key] = value;
             }
+        }
+        return node;
+    }
 
-            // --- MAPPING LOGIC ---
+    fromTree(node) {
+        const xmlNode = { ...node.properties };
+        node.children.forEach(child => {
+            xmlNode[encodeXmlName(child.name)] = this.fromTree(child);
+        });
+        return xmlNode;
+    }
 
-            // Check Resource Type Mapping
-            if (key === 'sling:resourceType') {
-                // Check if this component is mapped
-                const currentRT = value;
-                if (mappings.components.has(currentRT)) {
-                    const mapData = mappings.components.get(currentRT);
-                    newValue = mapData.targetPath; // Update Resource Type
-                }
-            }
+    /**
+     * When a diff collector is passed, every property decision is recorded in it (used by dry runs).
+     * @param {Object} context - { prefix, path, ancestorResourceTypes, template, fired, richTextCounts }:
+     *   the relative node path of inline children in the diff (e.g. "jcr:content/root/"), the node's
+     *   source path, its ancestors' resource types, its page's cq:template, a list collecting the
+     *   mapping rules that fired and per rich text rule the number of nodes it changed.
+     */
+    transformNode(node, mappings, diff = null, context = {}) {
+        if (!node || typeof node !== 'object') return node;
 
-            // Check Template Mapping
-            if (key === 'cq:template') {
-                const currentTpl = value;
-                if (mappings.templates.has(currentTpl)) {
-                    const tplMap = mappings.templates.get(currentTpl);
-                    newValue = tplMap.targetPath;
-                }
+        const { prefix = '', path: nodePath = '', ancestorResourceTypes = [], fired = null, richTextCounts = null } = context;
+        const originalResourceType = node['sling:resourceType'];
+        const originalTemplate = node['cq:template'];
+        // A page's jcr:content carries the template for everything below the page
+        const pageContent = node['jcr:content'];
+        const template = (pageContent && typeof pageContent === 'object' && pageContent['cq:template']) ||
+            originalTemplate || context.template;
+
+        const properties = {};
+        const children = {};
+
+        for (const [key, value] of Object.entries(node)) {
+            // Recursively transform children
+            if (typeof value === 'object' && !Array.isArray(value)) {
+                children[key] = this.transformNode(value, mappings, diff, {
+                    prefix: `${prefix}${key}/`,
+                    path: `${nodePath.replace(/\/$/, '')}/${decodeXmlName(key)}`,
+                    ancestorResourceTypes: [...ancestorResourceTypes, originalResourceType],
+                    template,
+                    fired,
+                    richTextCounts
+                });
+            } else {
+                properties[key] = value;
             }
+        }
 
-            // Property Mapping (Component or Template based)
-            let propertyMapped = false;
+        // --- MAPPING LOGIC ---
 
-            // 1. Try Component Mapping first
-            const originalResourceType = node['sling:resourceType'];
-            if (originalResourceType && mappings.components.has(originalResourceType)) {
-                const mapData = mappings.components.get(originalResourceType);
-                if (mapData.properties && mapData.properties[key]) {
-                    newKey = mapData.properties[key];
-                    propertyMapped = true;
-                }
+        const subject = {
+            properties,
+            name: nodePath.substring(nodePath.lastIndexOf('/') + 1),
+            path: nodePath,
+            template,
+            ancestorResourceTypes
+        };
+        const componentMap = originalResourceType && this.selectMapping(mappings.components.get(originalResourceType), subject);
+        // Note: Templates usually apply to the node containing cq:template (the page content)
+        const templateMap = originalTemplate && this.selectMapping(mappings.templates.get(originalTemplate), subject);
+
+        if (componentMap) properties['sling:resourceType'] = componentMap.targetPath;
+        if (templateMap) properties['cq:template'] = templateMap.targetPath;
+
+        // Rich text rules that changed this node, counted once per node
+        const richTextChanged = new Set();
+        const richText = (html) => {
+            const outcome = this.rteService.transform(html, mappings.richText);
+            outcome.changed.forEach(id => richTextChanged.add(id));
+            return outcome.html;
+        };
+
+        // Property rules: component rules first, then the template's on what they left
+        let transformed = properties;
+        const applied = [];
+        for (const mapData of [componentMap, templateMap]) {
+            if (!mapData) continue;
+            const outcome = applyPropertyRules(transformed, mapData.rules, { richText });
+            transformed = outcome.properties;
+            applied.push(...outcome.applied);
+
+            if (fired) {
+                fired.push({
+                    path: nodePath,
+                    type: mapData.type,
+                    source: mapData.source,
+                    target: mapData.targetPath,
+                    line: mapData.line,
+                    condition: mapData.conditionText,
+                    priority: mapData.priority
+                });
             }
+        }
+
+        if (context.richTextCounts) {
+            richTextChanged.forEach(id => {
+                context.richTextCounts[id] = (context.richTextCounts[id] || 0) + 1;
+            });
+        }
+
+        if (diff) this.recordDiff(diff, node, transformed, applied, prefix);
+
+        return { ...transformed, ...children };
+    }
+
+    // Dry-run view of what transformNode did to one node's properties
+    recordDiff(diff, original, transformed, applied, prefix) {
+        const touched = new Set();
+
+        for (const entry of applied) {
+            const sources = Object.keys(entry.sources);
+            const targets = Object.keys(entry.targets);
+            sources.forEach(source => touched.add(source));
+            targets.forEach(target => touched.add(target));
 
-            // 2. Try Template Mapping (if not already mapped by component)
-            // Note: Templates usually apply to the node containing cq:template (the page content)
-            const originalTemplate = node['cq:template'];
-            if (!propertyMapped && originalTemplate && mappings.templates.has(originalTemplate)) {
-                const tplMap = mappings.templates.get(originalTemplate);
-                if (tplMap.properties && tplMap.properties[key]) {
-                    newKey = tplMap.properties[key];
+            if (sources.length === 1 && targets.length === 1 && sources[0] !== targets[0]) {
+                diff.renamed.push({ from: `${prefix}${sources[0]}`, to: `${prefix}${targets[0]}` });
+            }
+            for (const target of targets) {
+                const from = sources.length === 1 ? entry.sources[sources[0]] : original[target];
+                if (from !== entry.targets[target]) {
+                    diff.changed.push({ property: `${prefix}${target}`, from, to: entry.targets[target], rule: entry.rule });
                 }
             }
-
-            newNode[newKey] = newValue;
+            entry.removed.forEach(source => {
+                if (!(sources.length === 1 && targets.length === 1)) diff.removed.push(`${prefix}${source}`);
+            });
         }
 
-        return newNode;
+        for (const [key, value] of Object.entries(original)) {
+            if (typeof value === 'object' || touched.has(key)) continue;
+            if (transformed[key] !== value) {
+                diff.changed.push({ property: `${prefix}${key}`, from: value, to: transformed[key] });
+            } else {
+                diff.untouched.push(`${prefix}${key}`);
+            }
+        }
     }
 
     async createNode(targetUrl, nodePath, nodeData, auth) {
@@ -234,7 +1096,7 @@ class MigrationService {
 
         try {
             // Construct URL: targetUrl + nodePath
-            let url = `${targetUrl}${nodePath}`;
+            let url = this.nodeUrl(targetUrl, nodePath);
 
             // console.log(`[POST] Creating node at ${url}`); // Debug
 
@@ -253,22 +1115,156 @@ class MigrationService {
             if (error.response && error.response.data) {
                 // console.error("Response data:", error.response.data); // Helpful for detailed debug
             }
-            return false;
+            // Surface the failure so the node is counted as an error instead of created
+            throw new Error(`Failed to create node ${nodePath}: ${status} ${statusText}`.trim());
         }
     }
 
+    /**
+     * Undoes a journaled run: nodes it created are deleted, nodes it modified get their prior state back.
+     * @param {string} runId - The migration run to undo.
+     * @param {Object} targetConfig - Credentials (and optionally targetUrl) for the target instance.
+     * @returns {Promise<Object>} { runId, deleted, restored, errors }
+     */
+    async rollback(runId, targetConfig = {}) {
+        const meta = await journalService.readMeta(runId);
+        const config = { ...meta.config, ...targetConfig };
+        const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+
+        // The first write of a path since its last rollback holds the original state
+        const writes = new Map();
+        (await journalService.readEntries(runId)).forEach(entry => {
+            if (entry.status === 'rolledBack') {
+                writes.delete(entry.targetPath);
+            } else if (entry.status === 'done' && entry.action && !writes.has(entry.targetPath)) {
+                writes.set(entry.targetPath, entry);
+            }
+        });
+
+        console.log(`[Rollback] Undoing ${writes.size} writes of migration ${runId}`);
+        const results = { runId, deleted: 0, restored: 0, errors: [] };
+
+        // Reverse write order, so children are undone before their parents
+        for (const entry of Array.from(writes.values()).reverse()) {
+            try {
+                if (entry.action === 'created') {
+                    await this.deleteNode(config.targetUrl, entry.targetPath, auth);
+                    results.deleted++;
+                } else {
+                    await this.restoreNode(config.targetUrl, entry.targetPath, entry.priorState, auth);
+                    results.restored++;
+                }
+                await journalService.record(runId, {
+                    sourcePath: entry.sourcePath,
+                    targetPath: entry.targetPath,
+                    status: 'rolledBack',
+                    action: entry.action
+                });
+            } catch (e) {
+                console.error(`[Rollback] Failed for ${entry.targetPath}: ${e.message}`);
+                results.errors.push({ path: entry.targetPath, error: e.message });
+            }
+        }
+
+        const updated = await journalService.readMeta(runId);
+        updated.rollbacks = [...(updated.rollbacks || []), {
+            finishedAt: new Date().toISOString(),
+            deleted: results.deleted,
+            restored: results.restored,
+            failed: results.errors.length
+        }];
+        await journalService.writeMeta(runId, updated);
+
+        return results;
+    }
+
+    async deleteNode(targetUrl, nodePath, auth) {
+        const form = new FormData();
+        form.append(':operation', 'delete');
+
+        try {
+            await axios.post(this.nodeUrl(targetUrl, nodePath), form, {
+                headers: { ...form.getHeaders(), 'Authorization': `Basic ${auth}` }
+            });
+        } catch (error) {
+            // Already gone is what we wanted
+            if (error.response && error.response.status === 404) return;
+            const status = error.response ? error.response.status : 'Unknown';
+            throw new Error(`Failed to delete node ${nodePath}: ${status} ${error.message}`);
+        }
+    }
+
+    async restoreNode(targetUrl, nodePath, priorState, auth) {
+        const current = await this.fetchNodeJson(targetUrl, nodePath, this.nodeDepth(priorState), auth) || {};
+        const form = new FormData();
+        this.appendRestoreFields(form, priorState, current);
+
+        try {
+            await axios.post(this.nodeUrl(targetUrl, nodePath), form, {
+                headers: { ...form.getHeaders(), 'Authorization': `Basic ${auth}` }
+            });
+        } catch (error) {
+            const status = error.response ? error.response.status : 'Unknown';
+            throw new Error(`Failed to restore node ${nodePath}: ${status} ${error.message}`);
+        }
+    }
+
+    // Sling POST fields turning the current JSON state back into the prior one
+    appendRestoreFields(form, prior, current, prefix = '') {
+        const isNode = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+        // Anything the migration added goes away
+        for (const key of Object.keys(current)) {
+            if (!(key in prior) && !key.startsWith(':') && !PROTECTED_PROPERTIES.includes(key)) {
+                form.append(`${prefix}${key}@Delete`, '');
+            }
+        }
+
+        for (const [key, value] of Object.entries(prior)) {
+            // Binary lengths (":jcr:data") and protected properties cannot be written back
+            if (key.startsWith(':')) continue;
+
+            if (isNode(value)) {
+                const currentChild = isNode(current[key]) ? current[key] : null;
+                if (!currentChild && value['jcr:primaryType']) {
+                    form.append(`${prefix}${key}/jcr:primaryType`, value['jcr:primaryType']);
+                }
+                this.appendRestoreFields(form, value, currentChild || {}, `${prefix}${key}/`);
+            } else if (!PROTECTED_PROPERTIES.includes(key)) {
+                this.appendJsonValue(form, `${prefix}${key}`, value);
+            }
+        }
+    }
+
+    // Writes a value from a Sling JSON rendition with the type hint needed to keep its JCR type
+    appendJsonValue(form, name, value) {
+        const values = Array.isArray(value) ? value : [value];
+        const sample = values.find(v => v !== null && v !== undefined);
+
+        let type = 'String';
+        if (typeof sample === 'boolean') type = 'Boolean';
+        else if (typeof sample === 'number') type = Number.isInteger(sample) ? 'Long' : 'Double';
+        else if (typeof sample === 'string' && JSON_DATE_FORMAT.test(sample)) type = 'Date';
+
+        values.forEach(v => form.append(name, String(v)));
+        form.append(`${name}@TypeHint`, Array.isArray(value) ? `${type}[]` : type);
+    }
+
     flattenToFormData(form, data, prefix = '') {
         for (const [key, value] of Object.entries(data)) {
             // Skip xmlns definitions in JSON
             if (key.startsWith('xmlns:')) continue;
             // Skip jcr:primaryType if it causes issues? No, usually required for new nodes.
 
-            const propName = prefix ? `${prefix}/${key}` : key;
+            // Docview XML names are ISO 9075 escaped (_x0031_23 is 123); AEM wants the real name
+            const name = decodeXmlName(key);
+            const propName = prefix ? `${prefix}/${name}` : name;
 
             if (typeof value === 'object' && value !== null) {
                 this.flattenToFormData(form, value, propName);
             } else {
-                form.append(propName, String(value));
+                // Keeps "{Boolean}true", "{Long}3", "[a,b]" etc. typed instead of literal strings
+                appendToForm(form, propName, value);
             }
         }
     }
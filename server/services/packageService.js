@@ -73,31 +73,123 @@ class PackageService {
         return { isValid: true, roots };
     }
 
-    parseFilterXml(xmlPath) {
+    async parseFilterXml(xmlPath) {
+        const filters = await this.parseFilterDefinitions(xmlPath);
+        return filters.map(filter => filter.root);
+    }
+
+    /**
+     * Full filter definitions: [{ root, mode, rules: [{ type: 'include'|'exclude', pattern }] }]
+     * Mode defaults to "replace" like in FileVault.
+     */
+    parseFilterDefinitions(xmlPath) {
         return new Promise((resolve, reject) => {
-            const roots = [];
+            const filters = [];
             const stream = fs.createReadStream(xmlPath, { encoding: 'utf8' });
             const parser = sax.createStream(true); // strict mode
+            let current = null;
 
             parser.on('opentag', (node) => {
                 if (node.name === 'filter') {
+                    current = null;
                     if (node.attributes.root) {
-                        roots.push(node.attributes.root);
+                        current = { root: node.attributes.root, mode: node.attributes.mode || 'replace', rules: [] };
+                        filters.push(current);
                     }
+                } else if ((node.name === 'include' || node.name === 'exclude') && current && node.attributes.pattern) {
+                    current.rules.push({ type: node.name, pattern: node.attributes.pattern });
                 }
             });
 
+            parser.on('closetag', (name) => {
+                if (name === 'filter') current = null;
+            });
+
             parser.on('error', (e) => {
                 reject(e);
             });
 
             parser.on('end', () => {
-                resolve(roots);
+                resolve(filters);
             });
 
             stream.pipe(parser);
         });
     }
+
+    /**
+     * Writes an installable FileVault content package.
+     * @param {string} outputPath - Zip file to create.
+     * @param {Object} definition - { name, group, version, description, roots, files: [{ path, content }] }
+     * @returns {Promise<string>} The path of the written zip.
+     */
+    async createPackage(outputPath, definition) {
+        const AdmZip = require('adm-zip');
+        const zip = new AdmZip();
+
+        zip.addFile('META-INF/vault/filter.xml', Buffer.from(this.buildFilterXml(definition.roots), 'utf8'));
+        zip.addFile('META-INF/vault/properties.xml', Buffer.from(this.buildPropertiesXml(definition), 'utf8'));
+
+        definition.files.forEach(file => {
+            zip.addFile(file.path, Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8'));
+        });
+
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await zip.writeZipPromise(outputPath);
+        return outputPath;
+    }
+
+    buildFilterXml(roots) {
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<workspaceFilter version="1.0">\n`;
+        // Roots are paths or { root, mode, rules: [{ type: 'include'|'exclude', pattern }] }
+        roots.forEach(root => {
+            const filter = typeof root === 'string' ? { root } : root;
+            const mode = filter.mode && filter.mode !== 'replace' ? ` mode="${this.escapeXml(filter.mode)}"` : '';
+            const rules = filter.rules || [];
+            if (rules.length === 0) {
+                xml += `    <filter root="${this.escapeXml(filter.root)}"${mode}/>\n`;
+                return;
+            }
+            xml += `    <filter root="${this.escapeXml(filter.root)}"${mode}>\n`;
+            rules.forEach(rule => {
+                xml += `        <${rule.type} pattern="${this.escapeXml(rule.pattern)}"/>\n`;
+            });
+            xml += `    </filter>\n`;
+        });
+        xml += `</workspaceFilter>\n`;
+        return xml;
+    }
+
+    buildPropertiesXml(definition) {
+        const entries = {
+            name: definition.name,
+            group: definition.group,
+            version: definition.version,
+            description: definition.description || '',
+            packageType: 'content',
+            packageFormatVersion: '2',
+            created: new Date().toISOString()
+        };
+
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<!DOCTYPE properties SYSTEM "http://java.sun.com/dtd/properties.dtd">\n`;
+        xml += `<properties>\n`;
+        xml += `<comment>FileVault Package Properties</comment>\n`;
+        for (const [key, value] of Object.entries(entries)) {
+            xml += `<entry key="${key}">${this.escapeXml(value)}</entry>\n`;
+        }
+        xml += `</properties>\n`;
+        return xml;
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 module.exports = PackageService;
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads transformer plugins: JS modules in the plugin directory that register
+ * handlers for source resource types or templates.
+ *
+ *   module.exports = ({ onResourceType, onTemplate }) => {
+ *       onResourceType('wknd/components/hero', (node, context) => { ... return node; });
+ *   };
+ *
+ * A handler receives the node ({ name, properties, children }) and a context with
+ * its ancestors, paths, the mappings and the target config. It returns the node
+ * (or a replacement), an array of nodes, or null to remove it. Returning nothing
+ * keeps the node, changed in place. Handlers may be async.
+ */
+class PluginService {
+    constructor(pluginDir = process.env.TRANSFORMER_PLUGIN_DIR || path.join(__dirname, '../plugins')) {
+        this.pluginDir = pluginDir;
+        this.plugins = [];
+        this.resourceTypeHandlers = new Map();
+        this.templateHandlers = new Map();
+    }
+
+    /**
+     * (Re)loads every plugin, so files dropped into the directory apply to the next migration.
+     * @returns {string[]} The loaded plugin names.
+     */
+    load() {
+        this.plugins = [];
+        this.resourceTypeHandlers = new Map();
+        this.templateHandlers = new Map();
+
+        if (!fs.existsSync(this.pluginDir)) return [];
+
+        const files = fs.readdirSync(this.pluginDir)
+            .filter(file => /\.c?js$/.test(file))
+            .sort();
+
+        for (const file of files) {
+            const pluginPath = path.resolve(this.pluginDir, file);
+            const name = path.basename(file, path.extname(file));
+
+            try {
+                delete require.cache[pluginPath];
+                const plugin = require(pluginPath);
+                const register = typeof plugin === 'function' ? plugin : plugin.register;
+                if (typeof register !== 'function') {
+                    throw new Error('Plugin must export a register function');
+                }
+
+                register({
+                    onResourceType: (resourceType, handler) => this.addHandler(this.resourceTypeHandlers, resourceType, name, handler),
+                    onTemplate: (template, handler) => this.addHandler(this.templateHandlers, template, name, handler)
+                });
+            } catch (error) {
+                throw new Error(`Failed to load transformer plugin ${file}: ${error.message}`);
+            }
+
+            this.plugins.push(name);
+        }
+
+        return this.plugins;
+    }
+
+    addHandler(registry, key, plugin, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for ${key} is not a function`);
+        }
+        if (!registry.has(key)) registry.set(key, []);
+        registry.get(key).push({ plugin, handler });
+    }
+
+    hasHandlers() {
+        return this.resourceTypeHandlers.size > 0 || this.templateHandlers.size > 0;
+    }
+
+    // Resource type handlers first, then template handlers, each in plugin load order
+    handlersFor(node) {
+        const resourceType = node.properties['sling:resourceType'];
+        const template = node.properties['cq:template'];
+
+        return [
+            ...(resourceType && this.resourceTypeHandlers.get(resourceType)) || [],
+            ...(template && this.templateHandlers.get(template)) || []
+        ];
+    }
+}
+
+module.exports = PluginService;
@@ -0,0 +1,238 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const FormData = require('form-data');
+const DialogService = require('./dialogService');
+const { buildPathRules } = require('../utils/pathMapping');
+
+// Set by the repository or the editor itself, never declared in dialogs
+const SYSTEM_PROPERTIES = [
+    'jcr:primaryType', 'jcr:mixinTypes', 'sling:resourceType', 'sling:resourceSuperType',
+    'jcr:created', 'jcr:createdBy', 'jcr:lastModified', 'jcr:lastModifiedBy',
+    'cq:lastModified', 'cq:lastModifiedBy'
+];
+
+/**
+ * Checks a target instance before a migration, so problems show up once instead of node by node:
+ * the credentials, the target roots (exist and writable), the target resource types (resolve
+ * under /apps or /libs), the target templates, and mapped properties the target component's
+ * dialog does not declare.
+ */
+class PreflightService {
+    /**
+     * @param {Object} migrationService - Used to read the mapping report the same way a migration does.
+     */
+    constructor(migrationService) {
+        this.migrationService = migrationService;
+        this.dialogService = new DialogService();
+    }
+
+    /**
+     * @param {string} mappingReportPath
+     * @param {Object} targetConfig - targetUrl, username, password, targetRoot, path mapping settings.
+     * @returns {Promise<Object>} { ok, user, checks: [{ check, status: 'ok'|'warning'|'error', message, ... }] }
+     */
+    async run(mappingReportPath, targetConfig) {
+        const mappings = await this.migrationService.parseMappingReport(mappingReportPath);
+        const client = this.createClient(targetConfig);
+        const checks = [];
+
+        const user = await this.checkCredentials(client, checks);
+        // Everything else would fail the same way
+        if (user) {
+            await this.checkTargetRoots(client, targetConfig, mappings, checks);
+            await this.checkTemplates(client, mappings, checks);
+            await this.checkComponents(client, mappings, checks);
+        }
+
+        return {
+            ok: !checks.some(check => check.status === 'error'),
+            user,
+            checks
+        };
+    }
+
+    createClient(config) {
+        const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+        const baseUrl = (config.targetUrl || '').replace(/\/$/, '');
+        const url = (nodePath, suffix = '') => `${baseUrl}${nodePath.split('/').map(s => encodeURIComponent(s).replace(/%3A/g, ':')).join('/')}${suffix}`;
+        const options = (extra = {}) => ({
+            ...extra,
+            headers: { ...(extra.headers || {}), 'Authorization': `Basic ${auth}` },
+            timeout: Number(config.preflightTimeout) || 15000,
+            // Statuses are inspected by the checks
+            validateStatus: () => true
+        });
+
+        return {
+            get: (nodePath, suffix) => axios.get(url(nodePath, suffix), options()),
+            post: (nodePath, form) => axios.post(url(nodePath), form, options({ headers: form.getHeaders() }))
+        };
+    }
+
+    async checkCredentials(client, checks) {
+        try {
+            const response = await client.get('/libs/granite/security/currentuser', '.json');
+            const user = response.status === 200 && response.data ? response.data.authorizableId || response.data.userID : null;
+            if (response.status === 401 || response.status === 403 || !user || user === 'anonymous') {
+                checks.push({ check: 'credentials', status: 'error', message: `Login failed (${response.status})` });
+                return null;
+            }
+            checks.push({ check: 'credentials', status: 'ok', message: `Logged in as ${user}` });
+            return user;
+        } catch (error) {
+            checks.push({ check: 'credentials', status: 'error', message: `Target not reachable: ${error.message}` });
+            return null;
+        }
+    }
+
+    /**
+     * targetRoot and the targets of plain path mapping rules must exist, or at least their parent,
+     * and accept writes. The write check creates and deletes a temporary node.
+     */
+    async checkTargetRoots(client, config, mappings, checks) {
+        const roots = new Set();
+        if (config.targetRoot) roots.add(config.targetRoot.replace(/(.)\/$/, '$1'));
+        buildPathRules(config, mappings.paths)
+            // Targets with $n captures depend on the source path
+            .filter(rule => !/\$\d/.test(rule.target))
+            .forEach(rule => roots.add(rule.target));
+
+        for (const root of roots) {
+            const check = { check: 'targetRoot', path: root };
+            const exists = await this.exists(client, root);
+            const parent = path.posix.dirname(root);
+            const writePath = exists ? root : (await this.exists(client, parent) ? parent : null);
+
+            if (!writePath) {
+                checks.push({ ...check, status: 'error', message: `Neither ${root} nor its parent exists` });
+                continue;
+            }
+            const writeError = await this.checkWritable(client, writePath);
+            if (writeError) {
+                checks.push({ ...check, status: 'error', message: `${writePath} is not writable: ${writeError}` });
+            } else {
+                checks.push({ ...check, status: 'ok', message: exists ? 'Exists and is writable' : `Will be created below ${parent}` });
+            }
+        }
+    }
+
+    async checkWritable(client, nodePath) {
+        const probePath = `${nodePath === '/' ? '' : nodePath}/migration-preflight-${crypto.randomUUID()}`;
+        const create = new FormData();
+        create.append('jcr:primaryType', 'nt:unstructured');
+        const created = await client.post(probePath, create);
+        if (created.status >= 300) return `write returned ${created.status}`;
+
+        const remove = new FormData();
+        remove.append(':operation', 'delete');
+        const removed = await client.post(probePath, remove);
+        if (removed.status >= 300) return `delete returned ${removed.status}, remove ${probePath} manually`;
+        return null;
+    }
+
+    async checkTemplates(client, mappings, checks) {
+        for (const candidates of mappings.templates.values()) {
+            for (const mapping of candidates) {
+                const check = { check: 'template', template: mapping.targetPath, source: mapping.source, line: mapping.line };
+                if (!mapping.targetPath.startsWith('/conf/')) {
+                    checks.push({ ...check, status: 'warning', message: 'Editable templates are expected under /conf' });
+                }
+                const found = mapping.targetPath.startsWith('/') && await this.exists(client, mapping.targetPath);
+                checks.push({ ...check, status: found ? 'ok' : 'error', message: found ? 'Exists' : 'Template not found on the target' });
+            }
+        }
+    }
+
+    async checkComponents(client, mappings, checks) {
+        // Resource types nodes end up with: Component row targets, and the wrappers and split parts
+        // of structural rows unless a Component row maps those again
+        const targets = [];
+        for (const candidates of mappings.components.values()) {
+            candidates.forEach(mapping => targets.push({ resourceType: mapping.targetPath, mapping }));
+        }
+        mappings.structure.forEach(rule => {
+            const types = rule.type === 'Wrap' ? [rule.target] : (rule.parts || []).map(part => part.resourceType);
+            types.filter(type => !mappings.components.has(type))
+                .forEach(resourceType => targets.push({ resourceType, mapping: null }));
+        });
+
+        const components = new Map();
+        for (const target of targets) {
+            if (!components.has(target.resourceType)) {
+                components.set(target.resourceType, await this.resolveComponent(client, target.resourceType));
+            }
+            const component = components.get(target.resourceType);
+            const check = { check: 'resourceType', resourceType: target.resourceType, line: target.mapping ? target.mapping.line : null };
+
+            if (!component) {
+                checks.push({ ...check, status: 'error', message: 'Not found under /apps or /libs' });
+                continue;
+            }
+            checks.push({ ...check, status: 'ok', message: `Resolves to ${component.path}`, resolvedPath: component.path });
+            if (target.mapping) await this.checkDialogProperties(client, component, target.mapping, checks);
+        }
+    }
+
+    // The component node of a resource type, looked up like Sling does: /apps first, then /libs
+    async resolveComponent(client, resourceType) {
+        const candidates = resourceType.startsWith('/') ? [resourceType] : [`/apps/${resourceType}`, `/libs/${resourceType}`];
+        for (const candidate of candidates) {
+            const response = await client.get(candidate, '.json');
+            if (response.status === 200) return { path: candidate, properties: response.data || {} };
+        }
+        return null;
+    }
+
+    async checkDialogProperties(client, component, mapping, checks) {
+        const targets = [...new Set(mapping.rules.flatMap(rule => rule.targets))]
+            .filter(property => !SYSTEM_PROPERTIES.includes(property));
+        if (targets.length === 0) return;
+
+        const fields = await this.dialogFields(client, component);
+        if (!fields) {
+            checks.push({
+                check: 'dialogProperty',
+                resourceType: mapping.targetPath,
+                line: mapping.line,
+                status: 'warning',
+                message: 'No cq:dialog found (including super types); mapped properties not checked'
+            });
+            return;
+        }
+
+        targets.filter(property => !fields.has(property)).forEach(property => {
+            checks.push({
+                check: 'dialogProperty',
+                resourceType: mapping.targetPath,
+                property,
+                line: mapping.line,
+                status: 'warning',
+                message: `Not declared in the dialog of ${mapping.targetPath}`
+            });
+        });
+    }
+
+    // Field names (without "./") of the component's cq:dialog, or the closest super type's
+    async dialogFields(client, component) {
+        let current = component;
+        const visited = new Set();
+        while (current && !visited.has(current.path)) {
+            visited.add(current.path);
+            const response = await client.get(`${current.path}/cq:dialog`, '.infinity.json');
+            if (response.status === 200 && response.data) {
+                return this.dialogService.fieldNames(response.data);
+            }
+            const superType = current.properties['sling:resourceSuperType'];
+            current = superType ? await this.resolveComponent(client, superType) : null;
+        }
+        return null;
+    }
+
+    async exists(client, nodePath) {
+        const response = await client.get(nodePath, '.json');
+        return response.status === 200;
+    }
+}
+
+module.exports = PreflightService;
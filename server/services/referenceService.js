@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeXmlName, toFsPath } = require('../utils/vaultPath');
+const { parseValue, formatValue } = require('../utils/jcrValue');
+
+// Property values and HTML attributes pointing at content or assets
+const REFERENCE = /^\/content\//;
+const HTML_LINK = /\b(href|src)(\s*=\s*)(["'])(.*?)\3/gi;
+
+/**
+ * Rewrites references to migrated content (linkURL, fileReference, cq:redirectTarget,
+ * href/src inside rich text, ...) with the same mapping the node paths go through,
+ * and reports references to content that is not part of the migrated package.
+ */
+class ReferenceService {
+    /**
+     * @param {Function} mapPath - Source path -> target path; returns the path unchanged when no mapping applies.
+     * @param {string} jcrRoot - The extracted jcr_root, to tell whether a referenced path was migrated.
+     */
+    constructor(mapPath, jcrRoot) {
+        this.mapPath = mapPath;
+        this.jcrRoot = jcrRoot;
+        this.inPackage = new Map();
+    }
+
+    /**
+     * Rewrites every property value of a node and its children (xml2js shape: strings are
+     * properties, objects child nodes).
+     * @param {Object} node
+     * @param {string} nodePath - The node's source path, used in the report.
+     * @returns {{ node: Object, rewritten: Array<Object>, outOfScope: Array<Object> }}
+     */
+    rewriteNode(node, nodePath) {
+        const report = { rewritten: [], outOfScope: [] };
+        const rewrittenNode = this.rewriteNodeInto(node, nodePath, report);
+        return { node: rewrittenNode, ...report };
+    }
+
+    rewriteNodeInto(node, nodePath, report) {
+        const result = {};
+
+        for (const [key, value] of Object.entries(node)) {
+            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+                result[key] = this.rewriteNodeInto(value, `${nodePath.replace(/\/$/, '')}/${decodeXmlName(key)}`, report);
+            } else if (typeof value === 'string' && !key.startsWith('xmlns:') && value.includes('/content/')) {
+                const { value: newValue, references } = this.rewriteValue(value);
+                result[key] = newValue;
+
+                references.forEach(ref => {
+                    if (ref.to !== ref.from) {
+                        report.rewritten.push({ path: nodePath, property: key, from: ref.from, to: ref.to });
+                    }
+                    if (!ref.inScope) {
+                        report.outOfScope.push({ path: nodePath, property: key, reference: ref.from });
+                    }
+                });
+            } else {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Rewrites a docview value: a path, a multi-value of paths, or HTML with links.
+     * @param {string} raw
+     * @returns {{ value: string, references: Array<{ from: string, to: string, inScope: boolean }> }}
+     */
+    rewriteValue(raw) {
+        const references = [];
+        const parsed = parseValue(raw);
+
+        const values = parsed.values.map(value => {
+            if (REFERENCE.test(value)) {
+                const ref = this.rewriteReference(value);
+                references.push(ref);
+                return ref.to;
+            }
+            if (value.includes('<')) {
+                return value.replace(HTML_LINK, (match, attribute, equals, quote, link) => {
+                    if (!REFERENCE.test(link)) return match;
+                    const ref = this.rewriteReference(link);
+                    references.push(ref);
+                    return `${attribute}${equals}${quote}${ref.to}${quote}`;
+                });
+            }
+            return value;
+        });
+
+        if (references.length === 0) return { value: raw, references };
+        return { value: formatValue({ ...parsed, values }), references };
+    }
+
+    /**
+     * Maps one reference, keeping its selectors, extension, query and fragment:
+     * /content/wknd/us/en/page.html#top -> /content/mysite/us/en/page.html#top
+     */
+    rewriteReference(reference) {
+        const queryStart = reference.search(/[?#]/);
+        const pathPart = queryStart < 0 ? reference : reference.substring(0, queryStart);
+        const query = queryStart < 0 ? '' : reference.substring(queryStart);
+
+        // Page links carry an extension; assets are stored with theirs (photo.jpg)
+        let resourcePath = pathPart;
+        let suffix = '';
+        if (!this.isInPackage(pathPart)) {
+            const lastSlash = pathPart.lastIndexOf('/');
+            const dot = pathPart.indexOf('.', lastSlash);
+            if (dot > lastSlash) {
+                resourcePath = pathPart.substring(0, dot);
+                suffix = pathPart.substring(dot);
+            }
+        }
+
+        return {
+            from: reference,
+            to: `${this.mapPath(resourcePath)}${suffix}${query}`,
+            inScope: this.isInPackage(resourcePath)
+        };
+    }
+
+    // Whether the source package contains the path (as a folder, file or full coverage aggregate)
+    isInPackage(jcrPath) {
+        if (!this.inPackage.has(jcrPath)) {
+            const fsPath = path.join(this.jcrRoot, toFsPath(jcrPath));
+            this.inPackage.set(jcrPath, fs.existsSync(fsPath) || fs.existsSync(`${fsPath}.xml`));
+        }
+        return this.inPackage.get(jcrPath);
+    }
+}
+
+module.exports = ReferenceService;
@@ -0,0 +1,188 @@
+const { BLOCK_ELEMENTS, parseHtml, serializeHtml, getAttribute, setAttribute } = require('../utils/html');
+
+/**
+ * Rich text rules, read from RTE rows of the mapping report (Source = what, Target = how):
+ *   RTE,tag:b,strong                  rename a tag
+ *   RTE,tag:font,unwrap               drop the tag, keep its content
+ *   RTE,tag:script,remove             drop the tag and its content
+ *   RTE,class:btn-old,btn             rename a CSS class ("-" removes it)
+ *   RTE,attributes:a,href;title       attributes kept on a tag ("*" for every tag without its own list)
+ *   RTE,style,strip                   remove inline styles ("keep:text-align;color" keeps those properties)
+ *   RTE,wrap,p                        wrap loose top-level text and inline markup in a paragraph
+ * Rules run in that order: tags, classes, styles, attributes, wrapping.
+ */
+class RteService {
+    parseRule(source, target, line) {
+        const separator = source.indexOf(':');
+        const kind = separator < 0 ? source : source.substring(0, separator);
+        const subject = separator < 0 ? null : source.substring(separator + 1).trim();
+        const rule = { id: `${source}=${target}`, kind, line };
+
+        switch (kind) {
+            case 'tag':
+                if (!subject) throw new Error(`RTE rule "${source}" needs a tag name, e.g. tag:font`);
+                rule.tag = subject.toLowerCase();
+                rule.action = target === 'unwrap' || target === 'remove' ? target : 'rename';
+                rule.newTag = target.toLowerCase();
+                break;
+            case 'class':
+                if (!subject) throw new Error(`RTE rule "${source}" needs a class name, e.g. class:old`);
+                rule.className = subject;
+                rule.newClass = target === '-' ? null : target;
+                break;
+            case 'attributes':
+                rule.tag = (subject || '*').toLowerCase();
+                rule.allowed = target.split(';').map(a => a.trim().toLowerCase()).filter(Boolean);
+                break;
+            case 'style':
+                if (target === 'strip') {
+                    rule.keep = [];
+                } else if (target.startsWith('keep:')) {
+                    rule.keep = target.substring(5).split(';').map(p => p.trim().toLowerCase()).filter(Boolean);
+                } else {
+                    throw new Error(`RTE style rule expects "strip" or "keep:<properties>", got "${target}"`);
+                }
+                break;
+            case 'wrap':
+                rule.wrapper = target.toLowerCase();
+                break;
+            default:
+                throw new Error(`Unknown RTE rule "${source}", expected tag:, class:, attributes:, style or wrap`);
+        }
+
+        return rule;
+    }
+
+    /**
+     * @param {string} html
+     * @param {Array<Object>} rules - From parseRule.
+     * @returns {{ html: string, changed: Set<string> }} The IDs of the rules that changed something.
+     */
+    transform(html, rules) {
+        const changed = new Set();
+        if (!rules || rules.length === 0 || (!html.includes('<') && !rules.some(r => r.kind === 'wrap'))) {
+            return { html, changed };
+        }
+
+        const byKind = (kind) => rules.filter(r => r.kind === kind);
+        let nodes = parseHtml(html);
+
+        nodes = this.applyTagRules(nodes, byKind('tag'), changed);
+        this.visitElements(nodes, element => {
+            this.applyClassRules(element, byKind('class'), changed);
+            this.applyStyleRules(element, byKind('style'), changed);
+            this.applyAttributeRules(element, byKind('attributes'), changed);
+        });
+        const wrap = byKind('wrap')[0];
+        if (wrap) nodes = this.wrapLooseContent(nodes, wrap, changed);
+
+        // Unchanged values are returned as they were, not re-serialized
+        return { html: changed.size > 0 ? serializeHtml(nodes) : html, changed };
+    }
+
+    visitElements(nodes, visitor) {
+        nodes.forEach(node => {
+            if (node.type !== 'element') return;
+            visitor(node);
+            this.visitElements(node.children, visitor);
+        });
+    }
+
+    applyTagRules(nodes, rules, changed) {
+        if (rules.length === 0) return nodes;
+
+        const result = [];
+        for (const node of nodes) {
+            if (node.type !== 'element') {
+                result.push(node);
+                continue;
+            }
+
+            node.children = this.applyTagRules(node.children, rules, changed);
+            const rule = rules.find(r => r.tag === node.name);
+            if (!rule) {
+                result.push(node);
+            } else if (rule.action === 'remove') {
+                changed.add(rule.id);
+            } else if (rule.action === 'unwrap') {
+                changed.add(rule.id);
+                result.push(...node.children);
+            } else {
+                changed.add(rule.id);
+                node.name = rule.newTag;
+                result.push(node);
+            }
+        }
+        return result;
+    }
+
+    applyClassRules(element, rules, changed) {
+        const value = getAttribute(element, 'class');
+        if (rules.length === 0 || !value) return;
+
+        const classes = value.split(/\s+/).filter(Boolean).flatMap(className => {
+            const rule = rules.find(r => r.className === className);
+            if (!rule) return [className];
+            changed.add(rule.id);
+            return rule.newClass ? [rule.newClass] : [];
+        });
+        setAttribute(element, 'class', classes.length > 0 ? [...new Set(classes)].join(' ') : null);
+    }
+
+    applyStyleRules(element, rules, changed) {
+        const value = getAttribute(element, 'style');
+        if (rules.length === 0 || value === undefined) return;
+
+        const rule = rules[0];
+        const kept = (value || '').split(';')
+            .map(declaration => declaration.trim())
+            .filter(declaration => rule.keep.includes(declaration.split(':')[0].trim().toLowerCase()));
+        const newValue = kept.length > 0 ? kept.join('; ') : null;
+
+        if (newValue !== value) {
+            changed.add(rule.id);
+            setAttribute(element, 'style', newValue);
+        }
+    }
+
+    applyAttributeRules(element, rules, changed) {
+        const rule = rules.find(r => r.tag === element.name) || rules.find(r => r.tag === '*');
+        if (!rule) return;
+
+        const kept = element.attributes.filter(([name]) => rule.allowed.includes(name));
+        if (kept.length !== element.attributes.length) {
+            changed.add(rule.id);
+            element.attributes = kept;
+        }
+    }
+
+    // Groups top-level runs of text and inline elements into wrapper elements
+    wrapLooseContent(nodes, rule, changed) {
+        const result = [];
+        let run = [];
+
+        const flush = () => {
+            if (run.some(node => node.type === 'element' || (node.type === 'text' && node.text.trim()))) {
+                changed.add(rule.id);
+                result.push({ type: 'element', name: rule.wrapper, attributes: [], children: run });
+            } else {
+                result.push(...run);
+            }
+            run = [];
+        };
+
+        for (const node of nodes) {
+            if (node.type === 'element' && BLOCK_ELEMENTS.includes(node.name)) {
+                flush();
+                result.push(node);
+            } else {
+                run.push(node);
+            }
+        }
+        flush();
+
+        return result;
+    }
+}
+
+module.exports = RteService;
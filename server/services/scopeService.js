@@ -0,0 +1,178 @@
+const { parseValue } = require('../utils/jcrValue');
+
+/**
+ * Decides what a migration covers: the source package's filter.xml (roots, include/exclude
+ * patterns and mode, with FileVault semantics) narrowed by the scope in the target config:
+ *   {
+ *     "include": ["/content/wknd/us/**"],    path globs (* within a segment, ** across segments)
+ *     "exclude": ["/content/wknd/us/en/archive/**"],
+ *     "templates": ["/conf/wknd/settings/wcm/templates/article-page"],
+ *     "maxDepth": 3,                          page depth below sourceRoot
+ *     "skipExpired": true,                    offTime in the past
+ *     "skipScheduled": true,                  onTime in the future
+ *     "hideInNav": "exclude",                 or "only"
+ *     "modifiedAfter": "2023-01-01", "modifiedBefore": "2024-01-01"
+ *   }
+ * Checks return a reason when a path or page is out of scope, null otherwise.
+ */
+class ScopeService {
+    /**
+     * @param {Array|null} filters - From PackageService.parseFilterDefinitions; null when the package has no filter.
+     * @param {Object} scope - See above.
+     * @param {string} [sourceRoot] - Base for maxDepth.
+     */
+    constructor(filters, scope = {}, sourceRoot = null) {
+        this.filters = filters;
+        this.scope = scope || {};
+        this.sourceRoot = sourceRoot;
+        this.now = Date.now();
+
+        // Patterns are anchored regular expressions in FileVault
+        (this.filters || []).forEach(filter => {
+            filter.rules.forEach(rule => {
+                rule.regex = new RegExp(`^(?:${rule.pattern})$`);
+            });
+        });
+        this.include = (this.scope.include || []).map(glob => ({ glob, regex: this.globToRegExp(glob) }));
+        this.exclude = (this.scope.exclude || []).map(glob => ({ glob, regex: this.globToRegExp(glob) }));
+    }
+
+    globToRegExp(glob) {
+        const pattern = glob.split(/(\*\*|\*|\?)/).map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        // "/a/**" also matches "/a" itself
+        return new RegExp(`^${pattern.replace(/\/\.\*$/, '(?:/.*)?')}$`);
+    }
+
+    filterFor(jcrPath) {
+        return (this.filters || []).find(filter =>
+            filter.root === '/' || jcrPath === filter.root || jcrPath.startsWith(`${filter.root}/`));
+    }
+
+    // Parents of a filter root are only containers; they are neither migrated nor reported
+    isFilterAncestor(jcrPath) {
+        const prefix = jcrPath === '/' ? '/' : `${jcrPath}/`;
+        return (this.filters || []).some(filter => filter.root.startsWith(prefix));
+    }
+
+    // The filter mode ("replace", "merge" or "update") covering a path
+    filterMode(jcrPath) {
+        const filter = this.filterFor(jcrPath);
+        return filter ? filter.mode : 'replace';
+    }
+
+    /**
+     * Path based checks: filter.xml, include/exclude globs and page depth.
+     * @param {string} jcrPath
+     * @returns {string|null} The reason the path is out of scope; "" for silently skipped filter ancestors.
+     */
+    pathReason(jcrPath) {
+        if (this.filters) {
+            const filter = this.filterFor(jcrPath);
+            if (!filter) {
+                return this.isFilterAncestor(jcrPath) ? '' : 'Not covered by filter.xml';
+            }
+
+            // Without rules everything below the root is included; otherwise the first rule
+            // sets the default (include first: excluded by default) and the last match wins
+            if (filter.rules.length > 0) {
+                let included = filter.rules[0].type === 'exclude';
+                let decidingRule = null;
+                filter.rules.forEach(rule => {
+                    if (rule.regex.test(jcrPath)) {
+                        included = rule.type === 'include';
+                        decidingRule = rule;
+                    }
+                });
+                if (!included) {
+                    return decidingRule
+                        ? `Excluded by filter.xml pattern ${decidingRule.pattern}`
+                        : `Not included by any filter.xml pattern of ${filter.root}`;
+                }
+            }
+        }
+
+        if (this.include.length > 0 && !this.include.some(entry => entry.regex.test(jcrPath))) {
+            return 'Not matched by the scope include patterns';
+        }
+        const excluded = this.exclude.find(entry => entry.regex.test(jcrPath));
+        if (excluded) return `Excluded by scope pattern ${excluded.glob}`;
+
+        if (this.scope.maxDepth !== undefined && this.sourceRoot) {
+            const pagePath = this.pagePathOf(jcrPath);
+            const base = this.sourceRoot.replace(/\/$/, '');
+            if (pagePath.startsWith(`${base}/`)) {
+                const depth = pagePath.substring(base.length + 1).split('/').length;
+                if (depth > Number(this.scope.maxDepth)) {
+                    return `Deeper than maxDepth ${this.scope.maxDepth}`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Page property checks: template, on/off time, hideInNav and last modification.
+     * @param {Object} pageProperties - The properties of the page's jcr:content (docview values).
+     * @returns {string|null}
+     */
+    pageReason(pageProperties) {
+        const scope = this.scope;
+        const value = (name) => pageProperties[name] === undefined ? undefined : parseValue(pageProperties[name]).values[0];
+        const time = (name) => {
+            const v = value(name);
+            const parsed = v === undefined ? NaN : Date.parse(v);
+            return Number.isNaN(parsed) ? null : parsed;
+        };
+
+        if (scope.templates && scope.templates.length > 0) {
+            const template = value('cq:template');
+            if (!scope.templates.includes(template)) return `Template ${template || '(none)'} not in scope`;
+        }
+
+        const offTime = time('offTime');
+        if (scope.skipExpired && offTime !== null && offTime < this.now) {
+            return `Expired (offTime ${value('offTime')})`;
+        }
+        const onTime = time('onTime');
+        if (scope.skipScheduled && onTime !== null && onTime > this.now) {
+            return `Not yet on (onTime ${value('onTime')})`;
+        }
+
+        const hidden = value('hideInNav') === 'true';
+        if (scope.hideInNav === 'exclude' && hidden) return 'Hidden in navigation';
+        if (scope.hideInNav === 'only' && !hidden) return 'Not hidden in navigation';
+
+        if (scope.modifiedAfter || scope.modifiedBefore) {
+            const modified = time('jcr:lastModified') !== null ? time('jcr:lastModified') : time('cq:lastModified');
+            if (modified === null) return 'No last modification date';
+            if (scope.modifiedAfter && modified < Date.parse(scope.modifiedAfter)) {
+                return `Last modified before ${scope.modifiedAfter}`;
+            }
+            if (scope.modifiedBefore && modified >= Date.parse(scope.modifiedBefore)) {
+                return `Last modified on or after ${scope.modifiedBefore}`;
+            }
+        }
+
+        return null;
+    }
+
+    hasPageChecks() {
+        const scope = this.scope;
+        return !!((scope.templates && scope.templates.length) || scope.skipExpired || scope.skipScheduled ||
+            scope.hideInNav || scope.modifiedAfter || scope.modifiedBefore);
+    }
+
+    // /content/site/en/jcr:content/par/text -> /content/site/en
+    pagePathOf(jcrPath) {
+        const index = jcrPath.indexOf('/jcr:content');
+        return index < 0 ? jcrPath : jcrPath.substring(0, index);
+    }
+}
+
+module.exports = ScopeService;
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const xml2js = require('xml2js');
+const DialogService = require('./dialogService');
+const { parseValue } = require('../utils/jcrValue');
+const { toJcrPath, decodeXmlName } = require('../utils/vaultPath');
+
+// Offered by the page properties of every AEM page component; used when the page component's
+// own dialog comes from outside the package (e.g. the Core Components page)
+const BASE_PAGE_PROPERTIES = [
+    'jcr:title', 'jcr:description', 'pageTitle', 'navTitle', 'subtitle', 'hideInNav',
+    'cq:tags', 'onTime', 'offTime', 'sling:vanityPath', 'cq:redirectTarget', 'sling:alias'
+];
+
+const TEMPLATE_PATH = /^\/conf\/.+\/settings\/wcm\/templates\/[^/]+$/;
+
+/**
+ * Derives the target definitions used by auto-mapping from the target project's code packages
+ * (ui.apps, ui.content, or an "all" package embedding them):
+ *   {
+ *     "templatelist": { "targetTemplates": [{ "targetTemplate": "/conf/...", "pageProperties": [...] }] },
+ *     "componentlist": { "targetComponents": [{ "targetComponent": "mysite/components/teaser", "properties": [...] }] }
+ *   }
+ * Components are the cq:Component nodes under /apps with their cq:dialog fields, including the
+ * fields of super types found in the packages. Templates are the editable templates under
+ * /conf/<site>/settings/wcm/templates, with the fields of their page component's dialog.
+ */
+class TargetDefinitionService {
+    constructor() {
+        this.parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true, emptyTag: () => ({}) });
+        this.dialogService = new DialogService();
+    }
+
+    /**
+     * @param {Array<string>} packagePaths - Content package zip files.
+     * @returns {Promise<Object>} { definitions, warnings }
+     */
+    async generate(packagePaths) {
+        const files = new Map();
+        for (const packagePath of packagePaths) {
+            await this.readPackage(new AdmZip(packagePath), path.basename(packagePath), files);
+        }
+        const nodes = this.indexNodes(files);
+        const warnings = [];
+
+        const componentPaths = [...nodes.keys()]
+            .filter(nodePath => nodePath.startsWith('/apps/') && this.property(nodes.get(nodePath), 'jcr:primaryType') === 'cq:Component')
+            .sort();
+        const targetComponents = componentPaths.map(componentPath => {
+            const node = nodes.get(componentPath);
+            const dialog = this.dialogOf(nodes, componentPath);
+            const definition = {
+                targetComponent: componentPath.substring('/apps/'.length),
+                title: this.property(node, 'jcr:title') || null,
+                componentGroup: this.property(node, 'componentGroup') || null,
+                superType: this.property(node, 'sling:resourceSuperType') || null,
+                properties: dialog.fields.map(field => field.name),
+                fields: dialog.fields
+            };
+            if (dialog.unresolvedSuperType) {
+                definition.unresolvedSuperType = dialog.unresolvedSuperType;
+                warnings.push(`${definition.targetComponent}: super type ${dialog.unresolvedSuperType} is not in the packages, its dialog fields are missing`);
+            }
+            return definition;
+        });
+
+        const targetTemplates = [...nodes.keys()]
+            .filter(nodePath => TEMPLATE_PATH.test(nodePath) && this.property(nodes.get(nodePath), 'jcr:primaryType') === 'cq:Template')
+            .sort()
+            .map(templatePath => this.templateDefinition(nodes, templatePath, warnings));
+
+        if (targetComponents.length === 0) warnings.push('No cq:Component nodes found under /apps');
+        if (targetTemplates.length === 0) warnings.push('No editable templates found under /conf/*/settings/wcm/templates');
+
+        return {
+            definitions: {
+                templatelist: { targetTemplates },
+                componentlist: { targetComponents }
+            },
+            warnings
+        };
+    }
+
+    /**
+     * Writes the definitions next to the other reports, in the format /api/auto-map reads.
+     * @returns {Promise<string>} The file path.
+     */
+    async writeDefinitions(definitions, id) {
+        const filePath = path.join(__dirname, '../../', `target_definitions_${id}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify(definitions, null, 2));
+        return filePath;
+    }
+
+    /**
+     * Collects the docview files below jcr_root, by the JCR path of the node they describe.
+     * Embedded packages (e.g. /apps/mysite-packages/application/install/*.zip) are read too.
+     */
+    async readPackage(zip, name, files) {
+        for (const entry of zip.getEntries()) {
+            if (entry.isDirectory) continue;
+            const entryName = entry.entryName.replace(/\\/g, '/');
+
+            if (entryName.endsWith('.zip')) {
+                try {
+                    await this.readPackage(new AdmZip(entry.getData()), `${name}!${entryName}`, files);
+                } catch (error) {
+                    console.warn(`[TargetDefinitions] Skipping unreadable embedded package ${name}!${entryName}: ${error.message}`);
+                }
+                continue;
+            }
+
+            const match = entryName.match(/(?:^|\/)jcr_root\/(.+\.xml)$/);
+            if (!match) continue;
+            const relative = match[1];
+            const jcrPath = path.posix.basename(relative) === '.content.xml'
+                ? toJcrPath(path.posix.dirname(relative))
+                : toJcrPath(relative.replace(/\.xml$/, ''));
+            if (!jcrPath.startsWith('/apps/') && !jcrPath.startsWith('/conf/')) continue;
+
+            try {
+                const result = await this.parser.parseStringPromise(entry.getData().toString('utf8'));
+                // Other XML files are plain nt:file content
+                if (result && result['jcr:root']) files.set(jcrPath, result['jcr:root']);
+            } catch (error) {
+                console.warn(`[TargetDefinitions] Skipping unparsable ${name}!${entryName}: ${error.message}`);
+            }
+        }
+    }
+
+    // Every node by path: the roots of the docview files and the nodes inlined in them.
+    // A node's own .content.xml wins over its (often empty) inline placeholder.
+    indexNodes(files) {
+        const nodes = new Map(files);
+        const addInline = (node, nodePath) => {
+            Object.entries(node).forEach(([key, child]) => {
+                if (typeof child !== 'object' || child === null || Array.isArray(child)) return;
+                const childPath = `${nodePath === '/' ? '' : nodePath}/${decodeXmlName(key)}`;
+                if (!nodes.has(childPath)) nodes.set(childPath, child);
+                addInline(child, childPath);
+            });
+        };
+        files.forEach((node, nodePath) => addInline(node, nodePath));
+        return nodes;
+    }
+
+    /**
+     * The dialog fields of a component, merged with its super types' fields as far as the
+     * super types are in the packages.
+     * @returns {{ fields: Array<Object>, unresolvedSuperType: string|null }} See DialogService.componentDialog.
+     */
+    dialogOf(nodes, componentPath) {
+        return this.dialogService.componentDialog(componentPath, nodePath => nodes.get(nodePath));
+    }
+
+    templateDefinition(nodes, templatePath, warnings) {
+        const content = nodes.get(`${templatePath}/jcr:content`) || {};
+        const structure = nodes.get(`${templatePath}/structure/jcr:content`) || {};
+        const pageComponent = this.property(structure, 'sling:resourceType') || null;
+        const definition = {
+            targetTemplate: templatePath,
+            title: this.property(content, 'jcr:title') || null,
+            status: this.property(content, 'status') || null,
+            pageComponent,
+            pageProperties: []
+        };
+
+        const pagePath = pageComponent && (pageComponent.startsWith('/') ? pageComponent : `/apps/${pageComponent}`);
+        if (pagePath && nodes.has(pagePath)) {
+            const dialog = this.dialogOf(nodes, pagePath);
+            definition.pageProperties = dialog.fields.map(field => field.name);
+            if (dialog.unresolvedSuperType) {
+                definition.pageProperties = [...new Set([...BASE_PAGE_PROPERTIES, ...definition.pageProperties])];
+            }
+        } else {
+            definition.pageProperties = [...BASE_PAGE_PROPERTIES];
+            warnings.push(`${templatePath}: page component ${pageComponent || '(none)'} is not in the packages, only the basic page properties are listed`);
+        }
+        return definition;
+    }
+
+    property(node, name) {
+        if (!node || node[name] === undefined || typeof node[name] === 'object') return undefined;
+        return parseValue(node[name]).values[0];
+    }
+}
+
+module.exports = TargetDefinitionService;
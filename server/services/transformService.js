@@ -1,19 +1,30 @@
+const { parsePropertyRules, toPropertyRules, applyPropertyRules } = require('../utils/propertyRules');
+const { parseCondition, matchesCondition } = require('../utils/mappingConditions');
+const { buildPathRules, mapPath } = require('../utils/pathMapping');
+
+// Mapping report row types that change the node structure instead of a single node
+const STRUCTURAL_TYPES = ['Wrap', 'Unwrap', 'Split', 'Move'];
+
 class TransformService {
     constructor() { }
 
     transformTree(rootNode, config) {
-        // config includes: templateMappings, componentMappings, sourceRoot, targetRoot
-        this.traverseAndTransform(rootNode, config);
+        // config includes: templateMappings, componentMappings, structuralRules and pathRules
+        // (or pathMappings, sourceRoot, targetRoot, ... to build them from, see utils/pathMapping)
+        if (config.structuralRules) {
+            this.applyStructuralRules(rootNode, config.structuralRules);
+        }
+        this.traverseAndTransform(rootNode, { ...config, pathRules: config.pathRules || buildPathRules(config) });
         return rootNode;
     }
 
-    traverseAndTransform(node, config) {
+    traverseAndTransform(node, config, ancestorResourceTypes = [], template = undefined) {
+        // Conditions see the source path
+        const sourcePath = node.path;
+
         // 1. Transform Path (Re-rooting)
-        if (node.path && config.sourceRoot && config.targetRoot) {
-            // Simple replace of prefix if it matches
-            if (node.path.startsWith(config.sourceRoot)) {
-                node.path = node.path.replace(config.sourceRoot, config.targetRoot);
-            }
+        if (node.path && config.pathRules) {
+            node.path = mapPath(config.pathRules, node.path).path;
         }
 
         // 2. Transform Templates (cq:Page)
@@ -22,70 +33,382 @@ class TransformService {
             // So we look for the child 'jcr:content'
             const contentNode = node.children && node.children.find(c => c.name === 'jcr:content');
             if (contentNode) {
-                this.applyTemplateMapping(contentNode, config.templateMappings);
+                template = contentNode.properties['cq:template'] || template;
+                const subject = this.conditionSubject(contentNode, contentNode.path, template, [...ancestorResourceTypes, node.properties['sling:resourceType']]);
+                this.applyTemplateMapping(contentNode, config.templateMappings, subject);
             }
         }
 
         // 3. Transform Components
         // Check sling:resourceType
-        if (node.properties && node.properties['sling:resourceType']) {
-            this.applyComponentMapping(node, config.componentMappings);
+        const resourceType = node.properties && node.properties['sling:resourceType'];
+        if (resourceType) {
+            this.applyComponentMapping(node, config.componentMappings, this.conditionSubject(node, sourcePath, template, ancestorResourceTypes));
         }
 
         // Recursion
         if (node.children) {
-            node.children.forEach(child => this.traverseAndTransform(child, config));
+            node.children.forEach(child => this.traverseAndTransform(child, config, [...ancestorResourceTypes, resourceType], template));
         }
     }
 
-    applyTemplateMapping(contentNode, templateMappings) {
+    conditionSubject(node, sourcePath, template, ancestorResourceTypes) {
+        return { properties: node.properties, name: node.name, path: sourcePath, template, ancestorResourceTypes };
+    }
+
+    // Mappings may carry a condition (Condition column syntax) and a priority, like the mapping report
+    findMapping(mappings, sourceKey, value, subject) {
+        const candidates = mappings
+            .filter(m => m[sourceKey] === value)
+            .sort((a, b) => ((b.priority || 0) - (a.priority || 0)) || ((b.condition ? 1 : 0) - (a.condition ? 1 : 0)));
+
+        return candidates.find(m => {
+            const condition = typeof m.condition === 'string' ? parseCondition(m.condition) : (m.condition || null);
+            return subject ? matchesCondition(condition, subject) : !condition;
+        });
+    }
+
+    applyTemplateMapping(contentNode, templateMappings, subject = null) {
         if (!templateMappings) return;
 
         const currentTemplate = contentNode.properties['cq:template'];
         if (!currentTemplate) return;
 
-        const mapping = templateMappings.find(m => m.sourceTemplate === currentTemplate);
+        const mapping = this.findMapping(templateMappings, 'sourceTemplate', currentTemplate, subject);
         if (mapping) {
             // Update Template
             contentNode.properties['cq:template'] = mapping.targetTemplate;
 
             // Map Properties
-            if (mapping.propertyMappings) {
-                for (const [sourceProps, targetProp] of Object.entries(mapping.propertyMappings)) {
-                    // Handle nested properties if needed. For now simple key mapping.
-                    // If source has nested logic, we need to locate it.
-                    const value = contentNode.properties[sourceProps];
-                    if (value !== undefined) {
-                        contentNode.properties[targetProp] = value;
-                        // Remove legacy? 
-                        // contentNode.properties[sourceProps] = undefined; // Optional based on config
-                    }
-                }
-            }
+            this.applyPropertyMappings(contentNode, mapping.propertyMappings);
         }
     }
 
-    applyComponentMapping(node, componentMappings) {
+    applyComponentMapping(node, componentMappings, subject = null) {
         if (!componentMappings) return;
 
         const currentResType = node.properties['sling:resourceType'];
-        const mapping = componentMappings.find(m => m.sourceComponent === currentResType);
+        const mapping = this.findMapping(componentMappings, 'sourceComponent', currentResType, subject);
 
         if (mapping) {
             // Update Resource Type
             node.properties['sling:resourceType'] = mapping.targetComponent;
 
             // Map Properties
-            if (mapping.propertyMappings) {
-                for (const [sourceProps, targetProp] of Object.entries(mapping.propertyMappings)) {
-                    const value = node.properties[sourceProps];
-                    if (value !== undefined) {
-                        node.properties[targetProp] = value;
-                    }
+            this.applyPropertyMappings(node, mapping.propertyMappings);
+        }
+    }
+
+    // Same rules as MigrationService: { source: target }, a Properties column string or parsed rules
+    applyPropertyMappings(node, propertyMappings) {
+        const rules = toPropertyRules(propertyMappings);
+        if (rules.length === 0) return;
+
+        node.properties = applyPropertyRules(node.properties, rules).properties;
+    }
+
+    /**
+     * Builds a structural rule from a mapping report row:
+     *   Wrap,<resourceType>,<wrapper resourceType>,<property rules moving values onto the wrapper>
+     *   Unwrap,<wrapper resourceType>,-
+     *   Split,<resourceType>,text=core/components/text+image=core/components/image,"text=text/text;fileReference=image/fileReference"
+     *   Move,<resourceType>[#<child name>],first|last|before:<name>|after:<name>|into:<relative path>
+     * Rules match source resource types, before component mappings are applied.
+     */
+    parseStructuralRule(type, source, target, propsStr) {
+        if (!STRUCTURAL_TYPES.includes(type)) {
+            throw new Error(`Unknown structural rule type: ${type}`);
+        }
+
+        const [resourceType, childName] = source.split('#');
+        const rule = { type, resourceType, childName: childName || null, target, rules: parsePropertyRules(propsStr) };
+
+        if (type === 'Split') {
+            rule.parts = target.split('+').map(part => {
+                const [name, partType] = part.split('=').map(s => s.trim());
+                if (!name || !partType) {
+                    throw new Error(`Invalid split part "${part}", expected name=resourceType`);
                 }
+                return { name, resourceType: partType };
+            });
+        }
+
+        if (type === 'Move' && !/^(first|last|(before|after|into):.+)$/.test(target)) {
+            throw new Error(`Invalid move target "${target}", expected first, last, before:<name>, after:<name> or into:<path>`);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Applies structural rules to a { name, properties, children } tree in place.
+     * Wrap, Unwrap and Split run bottom-up; Move runs last on the result.
+     * @returns {Array<Object>} What was done, as { type, path, ... } with paths relative to the root.
+     */
+    applyStructuralRules(root, rules) {
+        const applied = [];
+        if (!rules || rules.length === 0) return applied;
+
+        this.restructure(root, rules.filter(r => r.type !== 'Move'), '', applied);
+
+        const moves = rules.filter(r => r.type === 'Move');
+        if (moves.length > 0) this.applyMoves(root, moves, applied);
+
+        // Trees from TreeService carry absolute paths
+        if (root.path) this.updatePaths(root, root.path);
+
+        return applied;
+    }
+
+    restructure(node, rules, path, applied) {
+        if (!node.children || node.children.length === 0) return;
+
+        node.children.forEach(child => this.restructure(child, rules, `${path}${child.name}/`, applied));
+
+        const children = [];
+        // Nodes that keep their place keep their name; promoted and split nodes are renamed on conflicts
+        const added = new Set();
+        for (const child of node.children) {
+            const rule = rules.find(r => this.matchesRule(r, child, node));
+            if (!rule) {
+                children.push(child);
+                continue;
+            }
+
+            applied.push({ type: rule.type, path: `${path}${child.name}`, resourceType: rule.resourceType });
+            let replacements;
+            if (rule.type === 'Wrap') {
+                children.push(this.wrapNode(child, rule));
+                continue;
+            } else if (rule.type === 'Unwrap') {
+                replacements = child.children;
+            } else {
+                replacements = this.splitNode(child, rule);
             }
+            replacements.forEach(r => added.add(r));
+            children.push(...replacements);
         }
+
+        this.uniqueNames(children.filter(c => !added.has(c)).concat(children.filter(c => added.has(c))));
+        node.children = children;
+    }
+
+    matchesRule(rule, node, parent) {
+        if (rule.childName) {
+            return node.name === rule.childName && parent.properties['sling:resourceType'] === rule.resourceType;
+        }
+        return node.properties['sling:resourceType'] === rule.resourceType;
+    }
+
+    // The wrapper takes the node's place and name; property rules move values onto it
+    wrapNode(node, rule) {
+        const outcome = applyPropertyRules(node.properties, rule.rules);
+        const wrapperProperties = {};
+        outcome.applied.forEach(entry => Object.assign(wrapperProperties, entry.targets));
+
+        node.properties = {};
+        for (const [key, value] of Object.entries(outcome.properties)) {
+            if (!(key in wrapperProperties)) node.properties[key] = value;
+        }
+
+        return {
+            name: node.name,
+            primaryType: 'nt:unstructured',
+            properties: {
+                'jcr:primaryType': 'nt:unstructured',
+                'sling:resourceType': rule.target,
+                ...wrapperProperties
+            },
+            children: [node]
+        };
+    }
+
+    // Rule targets named "<part>/<property>" go to that part, the others (and all children) to the first part
+    splitNode(node, rule) {
+        const primaryType = node.properties['jcr:primaryType'] || 'nt:unstructured';
+        const parts = rule.parts.map(part => ({
+            name: part.name,
+            primaryType,
+            properties: { 'jcr:primaryType': primaryType, 'sling:resourceType': part.resourceType },
+            children: []
+        }));
+
+        const outcome = applyPropertyRules(node.properties, rule.rules);
+        for (const entry of outcome.applied) {
+            for (const [key, value] of Object.entries(entry.targets)) {
+                const slash = key.indexOf('/');
+                const part = slash > 0 && parts.find(p => p.name === key.substring(0, slash));
+                if (part) {
+                    part.properties[key.substring(slash + 1)] = value;
+                } else {
+                    parts[0].properties[key] = value;
+                }
+            }
+        }
+
+        parts[0].children = node.children;
+        return parts;
+    }
+
+    applyMoves(root, moves, applied) {
+        // Collected first so moved nodes are not visited twice
+        const pending = [];
+        const collect = (node, ancestors) => {
+            (node.children || []).forEach(child => {
+                const rule = moves.find(r => this.matchesRule(r, child, node));
+                if (rule) pending.push({ node: child, ancestors: [...ancestors, node], rule });
+                collect(child, [...ancestors, node]);
+            });
+        };
+        collect(root, []);
+
+        for (const { node, ancestors, rule } of pending) {
+            const parent = ancestors[ancestors.length - 1];
+            const path = [...ancestors.slice(1).map(a => a.name), node.name].join('/');
+            const separator = rule.target.indexOf(':');
+            const position = separator < 0 ? rule.target : rule.target.substring(0, separator);
+            const argument = separator < 0 ? null : rule.target.substring(separator + 1);
+
+            const destination = position === 'into' ? this.resolveRelative(ancestors, argument, node) : parent;
+            if (!destination) {
+                applied.push({ type: 'Move', path, to: rule.target, skipped: 'Destination not found' });
+                continue;
+            }
+
+            parent.children = parent.children.filter(c => c !== node);
+            node.name = this.uniqueName(node.name, destination.children);
+
+            const siblings = destination.children;
+            const anchor = siblings.findIndex(c => c.name === argument);
+            if (position === 'first') {
+                siblings.unshift(node);
+            } else if ((position === 'before' || position === 'after') && anchor >= 0) {
+                siblings.splice(position === 'before' ? anchor : anchor + 1, 0, node);
+            } else {
+                siblings.push(node);
+            }
+
+            applied.push({ type: 'Move', path, to: rule.target });
+        }
+    }
+
+    // Resolves a path relative to the moved node's parent ("..", "header/par")
+    resolveRelative(ancestors, relativePath, movedNode) {
+        const stack = [...ancestors];
+        for (const segment of relativePath.split('/').filter(Boolean)) {
+            if (segment === '.') continue;
+            if (segment === '..') {
+                if (stack.length <= 1) return null;
+                stack.pop();
+                continue;
+            }
+            const current = stack[stack.length - 1];
+            const child = (current.children || []).find(c => c.name === segment);
+            // A node cannot be moved into itself
+            if (!child || child === movedNode) return null;
+            stack.push(child);
+        }
+        const destination = stack[stack.length - 1];
+        if (!destination.children) destination.children = [];
+        return destination;
+    }
+
+    /**
+     * Runs plugin handlers (see PluginService) over a { name, properties, children } tree, top-down.
+     * Each handler works on a copy, so a failing handler leaves its node unchanged.
+     * @param {Object} context - Passed to handlers, extended with the node's ancestors and relative path.
+     * @returns {Promise<{ applied: Array<Object>, errors: Array<{ plugin: string, path: string, error: string }> }>}
+     */
+    async applyPlugins(root, pluginService, context = {}) {
+        const outcome = { applied: [], errors: [] };
+        if (!pluginService || !pluginService.hasHandlers()) return outcome;
+
+        // The root is the document itself and can only be changed, not removed or split
+        const [newRoot, ...extra] = await this.runHandlers(root, [], '', pluginService, context, outcome);
+        if (newRoot !== root || extra.length > 0) {
+            if (newRoot && extra.length === 0) {
+                Object.assign(root, { properties: newRoot.properties, children: newRoot.children });
+            } else {
+                const last = outcome.applied[outcome.applied.length - 1];
+                outcome.errors.push({ plugin: last.plugin, path: '', error: 'A plugin cannot remove or split the root node of a file' });
+            }
+        }
+
+        await this.applyPluginsTo(root, [], '', pluginService, context, outcome);
+        return outcome;
+    }
+
+    async applyPluginsTo(node, ancestors, path, pluginService, context, outcome) {
+        if (!node.children || node.children.length === 0) return;
+
+        const lineage = [...ancestors, node];
+        const children = [];
+        for (const child of node.children) {
+            children.push(...await this.runHandlers(child, lineage, `${path}${child.name}`, pluginService, context, outcome));
+        }
+        node.children = this.uniqueNames(children);
+
+        for (const child of node.children) {
+            await this.applyPluginsTo(child, lineage, `${path}${child.name}/`, pluginService, context, outcome);
+        }
+    }
+
+    // Chains the node's handlers; returns the nodes that take its place
+    async runHandlers(node, ancestors, path, pluginService, context, outcome) {
+        let current = node;
+
+        for (const { plugin, handler } of pluginService.handlersFor(node)) {
+            const input = structuredClone(current);
+            let result;
+            try {
+                result = await handler(input, { ...context, ancestors, path });
+                if (Array.isArray(result)) result.forEach(n => this.checkPluginNode(n));
+                else if (result) this.checkPluginNode(result);
+            } catch (error) {
+                outcome.errors.push({ plugin, path, error: error.message });
+                return [current];
+            }
+
+            outcome.applied.push({ type: 'Plugin', plugin, path });
+            if (result === null) return [];
+            if (Array.isArray(result)) return result;
+            current = result === undefined ? input : result;
+        }
+
+        return [current];
+    }
+
+    checkPluginNode(node) {
+        if (!node || typeof node.name !== 'string' || !node.name || typeof node.properties !== 'object') {
+            throw new Error('Plugin returned an invalid node; expected { name, properties, children }');
+        }
+        if (!Array.isArray(node.children)) node.children = [];
+    }
+
+    // Sibling names must stay unique: text, text_1, text_2, ...
+    uniqueNames(children) {
+        const taken = [];
+        children.forEach(child => {
+            child.name = this.uniqueName(child.name, taken);
+            taken.push(child);
+        });
+        return children;
+    }
+
+    uniqueName(name, siblings) {
+        let candidate = name;
+        for (let i = 1; siblings.some(s => s.name === candidate); i++) {
+            candidate = `${name}_${i}`;
+        }
+        return candidate;
+    }
+
+    updatePaths(node, nodePath) {
+        node.path = nodePath;
+        (node.children || []).forEach(child => this.updatePaths(child, `${nodePath}/${child.name}`));
     }
 }
 
+TransformService.STRUCTURAL_TYPES = STRUCTURAL_TYPES;
+
 module.exports = TransformService;
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const sax = require('sax');
+const { decodeName, decodeXmlName, isSerializedNode } = require('../utils/vaultPath');
 
 class TreeService {
     constructor() { }
@@ -35,8 +36,11 @@ class TreeService {
             if (entry.isDirectory()) {
                 // Ignore META-INF and other non-content dirs if strictly content
                 if (entry.name === 'META-INF') continue;
+                // <file>.dir holds the properties of a binary, merged into its file node below
+                if (entry.name.endsWith('.dir') && entries.some(e => e.isFile() && e.name === entry.name.slice(0, -4))) continue;
 
-                const nodeName = entry.name;
+                // FileVault names are encoded on disk, e.g. _jcr_content is jcr:content
+                const nodeName = decodeName(entry.name);
                 const nodePath = jcrPath === '/' ? `/${nodeName}` : `${jcrPath}/${nodeName}`;
 
                 // Create a basic folder node, will be enriched if .content.xml exists inside it
@@ -49,15 +53,18 @@ class TreeService {
                 };
 
                 parentNode.children.push(childNode);
-                await this.traverse(path.join(currentPath, nodeName), childNode, nodePath);
+                await this.traverse(path.join(currentPath, entry.name), childNode, nodePath);
             } else if (entry.name === '.content.xml') {
                 // Already handled above
                 continue;
+            } else if (entry.name.startsWith('.')) {
+                // Dot files (.vlt, .DS_Store) are tooling leftovers, not content
+                continue;
+            } else if (await isSerializedNode(path.join(currentPath, entry.name))) {
+                await this.addAggregateNode(path.join(currentPath, entry.name), parentNode, jcrPath);
             } else {
-                // Binary files or other files
-                // For migration, we might need to handle binaries. 
-                // AEM File Vault usually stores binaries as files or in .content.xml.
-                // For now, logging presence.
+                // Binary files (images, PDFs, DAM renditions) are nt:file nodes
+                parentNode.children.push(await this.buildFileNode(currentPath, entry.name, jcrPath));
             }
         }
 
@@ -75,13 +82,65 @@ class TreeService {
             if (deepNodeData.children && deepNodeData.children.length > 0) {
                 // Map inline children to tree nodes
                 deepNodeData.children.forEach(inlineChild => {
-                    inlineChild.path = jcrPath === '/' ? `/${inlineChild.name}` : `${jcrPath}/${inlineChild.name}`;
+                    this.assignPaths(inlineChild, jcrPath === '/' ? `/${inlineChild.name}` : `${jcrPath}/${inlineChild.name}`);
                     parentNode.children.push(inlineChild);
                 });
             }
         }
     }
 
+    // Full coverage aggregate: <name>.xml holds the whole node <name>.
+    // A <name>/ folder next to it may already have produced the node; merge into it then.
+    async addAggregateNode(xmlPath, parentNode, jcrPath) {
+        const nodeName = decodeName(path.basename(xmlPath, '.xml'));
+        const nodePath = jcrPath === '/' ? `/${nodeName}` : `${jcrPath}/${nodeName}`;
+        const nodeData = await this.parseContentXmlDeep(xmlPath);
+
+        const existing = parentNode.children.find(c => c.name === nodeName && !c.binary);
+        if (existing) {
+            Object.assign(existing.properties, nodeData.properties);
+            existing.primaryType = nodeData.primaryType || existing.primaryType;
+            nodeData.children.forEach(child => this.assignPaths(child, `${nodePath}/${child.name}`));
+            existing.children.unshift(...nodeData.children);
+        } else {
+            nodeData.name = nodeName;
+            this.assignPaths(nodeData, nodePath);
+            parentNode.children.push(nodeData);
+        }
+    }
+
+    // Inline nodes parsed from XML only know their names; give the whole subtree its JCR paths
+    assignPaths(node, nodePath) {
+        node.path = nodePath;
+        node.children.forEach(child => this.assignPaths(child, `${nodePath}/${child.name}`));
+    }
+
+    async buildFileNode(currentPath, platformName, jcrPath) {
+        const fileName = decodeName(platformName);
+        const fileNode = {
+            path: jcrPath === '/' ? `/${fileName}` : `${jcrPath}/${fileName}`,
+            name: fileName,
+            primaryType: 'nt:file',
+            properties: { 'jcr:primaryType': 'nt:file' },
+            children: [],
+            binary: true,
+            size: (await fs.promises.stat(path.join(currentPath, platformName))).size
+        };
+
+        // Extra properties (jcr:content with jcr:mimeType etc.) live in <file>.dir/.content.xml
+        const dirXml = path.join(currentPath, `${platformName}.dir`, '.content.xml');
+        if (fs.existsSync(dirXml)) {
+            const nodeData = await this.parseContentXmlDeep(dirXml);
+            Object.assign(fileNode.properties, nodeData.properties);
+            nodeData.children.forEach(child => {
+                this.assignPaths(child, `${fileNode.path}/${child.name}`);
+                fileNode.children.push(child);
+            });
+        }
+
+        return fileNode;
+    }
+
     // Simplified parser for properties + children
     parseContentXmlDeep(xmlPath) {
         return new Promise((resolve, reject) => {
@@ -93,7 +152,7 @@ class TreeService {
 
             parser.on('opentag', (node) => {
                 const newNode = {
-                    name: node.name, // Temporary, usually mapped from node name in XML structure
+                    name: decodeXmlName(node.name), // Temporary, usually mapped from node name in XML structure
                     primaryType: node.attributes['jcr:primaryType'] || 'nt:unstructured',
                     properties: { ...node.attributes },
                     children: []
@@ -107,7 +166,7 @@ class TreeService {
                 } else {
                     const parent = stack[stack.length - 1];
                     // The name in XML is the node name
-                    newNode.name = node.name;
+                    newNode.name = decodeXmlName(node.name);
                     parent.children.push(newNode);
                     stack.push(newNode);
                 }
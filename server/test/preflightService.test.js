@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const PreflightService = require('../services/preflightService');
+const migrationService = require('../services/migrationService');
+
+// What the stub target serves at <path>.json; cq:dialog nodes are served at .infinity.json
+const NODES = {
+    '/content/new': { 'jcr:primaryType': 'sling:Folder' },
+    '/conf/new/settings/wcm/templates/page': { 'jcr:primaryType': 'cq:Template' },
+    '/apps/new/components/teaser': { 'jcr:primaryType': 'cq:Component', 'sling:resourceSuperType': 'core/wcm/components/teaser/v2/teaser' },
+    '/libs/core/wcm/components/teaser/v2/teaser': { 'jcr:primaryType': 'cq:Component' },
+    '/libs/core/wcm/components/teaser/v2/teaser/cq:dialog': {
+        'jcr:primaryType': 'nt:unstructured',
+        content: {
+            title: { 'sling:resourceType': 'granite/ui/components/coral/foundation/form/textfield', name: './jcr:title' },
+            link: { 'sling:resourceType': 'granite/ui/components/coral/foundation/form/pathfield', name: './linkURL' }
+        }
+    }
+};
+
+const MAPPING_REPORT = [
+    'Type,Source,Target,Properties',
+    'Template,/conf/old/settings/wcm/templates/page,/conf/new/settings/wcm/templates/page,',
+    'Template,/apps/old/templates/landing,/conf/new/settings/wcm/templates/landing,',
+    'Component,old/components/teaser,new/components/teaser,title=jcr:title;href=linkURL;text=description',
+    'Component,old/components/gallery,new/components/gallery,'
+].join('\n');
+
+let server;
+let targetUrl;
+let reportPath;
+// Probe nodes written by the write check and not deleted yet
+const probes = new Set();
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = decodeURIComponent(req.url);
+        if (req.headers.authorization !== `Basic ${Buffer.from('admin:admin').toString('base64')}`) {
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (body.includes(':operation')) {
+                    probes.delete(url);
+                    res.writeHead(200).end();
+                } else {
+                    probes.add(url);
+                    res.writeHead(201).end();
+                }
+            });
+            return;
+        }
+
+        const json = (data) => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+        if (url === '/libs/granite/security/currentuser.json') return json({ authorizableId: 'admin' });
+        const match = url.match(/^(.*?)(\.infinity)?\.json$/);
+        const node = match && NODES[match[1]];
+        if (node && (match[1].endsWith('/cq:dialog') === !!match[2])) return json(node);
+        res.writeHead(404).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    targetUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preflight-'));
+    reportPath = path.join(dir, 'mapping_report.csv');
+    await fs.promises.writeFile(reportPath, MAPPING_REPORT);
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.rm(path.dirname(reportPath), { recursive: true, force: true });
+});
+
+const run = (config) => new PreflightService(migrationService)
+    .run(reportPath, { targetUrl, username: 'admin', password: 'admin', targetRoot: '/content/new', ...config });
+const find = (checks, check, key, value) => checks.find(entry => entry.check === check && entry[key] === value);
+
+test('stops after the credential check when the login fails', async () => {
+    const result = await run({ password: 'wrong' });
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.user, null);
+    assert.deepStrictEqual(result.checks.map(check => [check.check, check.status]), [['credentials', 'error']]);
+});
+
+test('checks the target root, templates, resource types and dialog fields', async () => {
+    const result = await run({});
+    const { checks } = result;
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.user, 'admin');
+    assert.strictEqual(find(checks, 'credentials', 'status', 'ok').message, 'Logged in as admin');
+
+    // The probe node is created and removed again
+    assert.strictEqual(find(checks, 'targetRoot', 'path', '/content/new').status, 'ok');
+    assert.strictEqual(probes.size, 0);
+
+    assert.strictEqual(find(checks, 'template', 'template', '/conf/new/settings/wcm/templates/page').status, 'ok');
+    assert.strictEqual(find(checks, 'template', 'template', '/conf/new/settings/wcm/templates/landing').status, 'error');
+
+    const teaser = find(checks, 'resourceType', 'resourceType', 'new/components/teaser');
+    assert.strictEqual(teaser.status, 'ok');
+    assert.strictEqual(teaser.resolvedPath, '/apps/new/components/teaser');
+    assert.strictEqual(find(checks, 'resourceType', 'resourceType', 'new/components/gallery').status, 'error');
+
+    // The teaser's dialog is its Core Components super type's, which has no description field
+    const undeclared = checks.filter(check => check.check === 'dialogProperty');
+    assert.deepStrictEqual(undeclared.map(check => [check.property, check.status]), [['description', 'warning']]);
+});
+
+test('reports a target root whose parent does not exist', async () => {
+    const result = await run({ targetRoot: '/content/missing/site' });
+
+    const root = find(result.checks, 'targetRoot', 'path', '/content/missing/site');
+    assert.strictEqual(root.status, 'error');
+    assert.strictEqual(root.message, 'Neither /content/missing/site nor its parent exists');
+});
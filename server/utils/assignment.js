@@ -0,0 +1,71 @@
+/**
+ * One-to-one assignment with the highest total score (Hungarian algorithm, O(n³)).
+ * @param {number[][]} scores - scores[row][column]; rows and columns may differ in number.
+ * @returns {number[]} The column assigned to each row, -1 for rows left over when there are
+ *   more rows than columns.
+ */
+function maximumAssignment(scores) {
+    const rows = scores.length;
+    const columns = rows === 0 ? 0 : Math.max(...scores.map(row => row.length));
+    const size = Math.max(rows, columns);
+    if (size === 0) return [];
+
+    // Square cost matrix (1-based, as the algorithm is usually written); padding costs nothing
+    const max = Math.max(0, ...scores.flat());
+    const cost = (i, j) => (i <= rows && j <= (scores[i - 1] || []).length) ? max - scores[i - 1][j - 1] : 0;
+
+    const u = new Array(size + 1).fill(0);
+    const v = new Array(size + 1).fill(0);
+    const rowOf = new Array(size + 1).fill(0); // rowOf[column]
+    const way = new Array(size + 1).fill(0);
+
+    for (let i = 1; i <= size; i++) {
+        rowOf[0] = i;
+        let column = 0;
+        const minimum = new Array(size + 1).fill(Infinity);
+        const used = new Array(size + 1).fill(false);
+        do {
+            used[column] = true;
+            const row = rowOf[column];
+            let delta = Infinity;
+            let next = 0;
+            for (let j = 1; j <= size; j++) {
+                if (used[j]) continue;
+                const reduced = cost(row, j) - u[row] - v[j];
+                if (reduced < minimum[j]) {
+                    minimum[j] = reduced;
+                    way[j] = column;
+                }
+                if (minimum[j] < delta) {
+                    delta = minimum[j];
+                    next = j;
+                }
+            }
+            for (let j = 0; j <= size; j++) {
+                if (used[j]) {
+                    u[rowOf[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minimum[j] -= delta;
+                }
+            }
+            column = next;
+        } while (rowOf[column] !== 0);
+        do {
+            const previous = way[column];
+            rowOf[column] = rowOf[previous];
+            column = previous;
+        } while (column !== 0);
+    }
+
+    const assigned = new Array(rows).fill(-1);
+    for (let j = 1; j <= size; j++) {
+        const row = rowOf[j];
+        if (row >= 1 && row <= rows && j <= (scores[row - 1] || []).length) assigned[row - 1] = j - 1;
+    }
+    return assigned;
+}
+
+module.exports = {
+    maximumAssignment
+};
@@ -0,0 +1,87 @@
+/**
+ * Parses CSV content (RFC 4180: quoted fields may contain commas, newlines and "" for a quote).
+ * @param {string} content
+ * @returns {string[][]} Rows of fields; blank lines are skipped.
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const c = content[i];
+
+        if (quoted) {
+            if (c === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field.trim() === '') {
+            // Whitespace before an opening quote is dropped
+            field = '';
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n') {
+            endRow();
+        } else if (c !== '\r') {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Parses CSV content with a header row into records keyed by column name.
+ * Column names are matched case-insensitively, e.g. record.get('properties').
+ * @param {string} content
+ * @returns {{ columns: string[], records: Array<{ line: number, get: (column: string) => string }> }}
+ */
+function parseCsvRecords(content) {
+    const [header = [], ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+    const columns = header.map(name => name.trim());
+    const index = new Map(columns.map((name, i) => [name.toLowerCase(), i]));
+
+    const records = rows.map((fields, i) => ({
+        // Data rows start on line 2 (approximate when quoted fields span lines)
+        line: i + 2,
+        fields,
+        get: (column) => {
+            const position = index.get(column.toLowerCase());
+            return position === undefined || fields[position] === undefined ? '' : fields[position].trim();
+        }
+    }));
+
+    return { columns, records };
+}
+
+/**
+ * Quotes a value for a CSV field when needed.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    csvField
+};
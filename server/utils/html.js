@@ -0,0 +1,108 @@
+/**
+ * A small, forgiving HTML fragment parser for rich text properties. It keeps text and
+ * attribute values as written (entities are not decoded), so untouched markup
+ * serializes back unchanged apart from attribute quoting.
+ */
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+const BLOCK_ELEMENTS = [
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+];
+
+const TOKEN = /<!--[\s\S]*?-->|<\/\s*([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * @param {string} html
+ * @returns {Array<Object>} Nodes: { type: 'element', name, attributes: [[name, value]], children }
+ *   with name lower-cased, { type: 'text', text } and { type: 'comment', text }.
+ */
+function parseHtml(html) {
+    const root = { type: 'element', name: null, attributes: [], children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let last = 0;
+    let match;
+
+    const addText = (text) => {
+        if (text) current().children.push({ type: 'text', text });
+    };
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(html)) !== null) {
+        addText(html.substring(last, match.index));
+        last = TOKEN.lastIndex;
+
+        if (match[0].startsWith('<!--')) {
+            current().children.push({ type: 'comment', text: match[0] });
+        } else if (match[1]) {
+            // Closing tag: close up to the matching element, ignore strays
+            const name = match[1].toLowerCase();
+            const index = stack.map(node => node.name).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+        } else {
+            const name = match[2].toLowerCase();
+            const element = { type: 'element', name, attributes: parseAttributes(match[3]), children: [] };
+            current().children.push(element);
+            if (!match[4] && !VOID_ELEMENTS.includes(name)) stack.push(element);
+        }
+    }
+    addText(html.substring(last));
+
+    return root.children;
+}
+
+function parseAttributes(text) {
+    const attributes = [];
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(text || '')) !== null) {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        attributes.push([match[1].toLowerCase(), value === undefined ? null : value]);
+    }
+    return attributes;
+}
+
+/**
+ * @param {Array<Object>} nodes - As returned by parseHtml.
+ * @returns {string}
+ */
+function serializeHtml(nodes) {
+    return nodes.map(node => {
+        if (node.type !== 'element') return node.text;
+
+        const attributes = node.attributes
+            .map(([name, value]) => value === null ? ` ${name}` : ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+            .join('');
+        if (VOID_ELEMENTS.includes(node.name)) return `<${node.name}${attributes}>`;
+        return `<${node.name}${attributes}>${serializeHtml(node.children)}</${node.name}>`;
+    }).join('');
+}
+
+function getAttribute(element, name) {
+    const attribute = element.attributes.find(([key]) => key === name);
+    return attribute ? attribute[1] : undefined;
+}
+
+function setAttribute(element, name, value) {
+    const attribute = element.attributes.find(([key]) => key === name);
+    if (value === null || value === undefined) {
+        element.attributes = element.attributes.filter(([key]) => key !== name);
+    } else if (attribute) {
+        attribute[1] = value;
+    } else {
+        element.attributes.push([name, value]);
+    }
+}
+
+module.exports = {
+    VOID_ELEMENTS,
+    BLOCK_ELEMENTS,
+    parseHtml,
+    serializeHtml,
+    getAttribute,
+    setAttribute
+};
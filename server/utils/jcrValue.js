@@ -0,0 +1,144 @@
+// Property types FileVault writes as a {Type} prefix in docview XML
+const PROPERTY_TYPES = [
+    'String', 'Binary', 'Long', 'Double', 'Decimal', 'Date', 'Boolean',
+    'Name', 'Path', 'Reference', 'WeakReference', 'URI'
+];
+
+/**
+ * Parses a FileVault docview property value.
+ *   "hello"                  -> { type: 'String', multiple: false, values: ['hello'] }
+ *   "{Boolean}true"          -> { type: 'Boolean', multiple: false, values: ['true'] }
+ *   "{Long}[1,2]"            -> { type: 'Long', multiple: true, values: ['1', '2'] }
+ *   "[a\\,b,c]"              -> { type: 'String', multiple: true, values: ['a,b', 'c'] }
+ *   "\\[not a list]"         -> { type: 'String', multiple: false, values: ['[not a list]'] }
+ * @param {string} raw
+ * @returns {{ type: string, multiple: boolean, values: string[] }}
+ */
+function parseValue(raw) {
+    let rest = String(raw);
+    let type = 'String';
+
+    const typeMatch = rest.match(/^\{([A-Za-z]+)\}/);
+    if (typeMatch && PROPERTY_TYPES.includes(typeMatch[1])) {
+        type = typeMatch[1];
+        rest = rest.substring(typeMatch[0].length);
+    }
+
+    if (rest.startsWith('[') && rest.endsWith(']')) {
+        return { type, multiple: true, values: splitMultiValue(rest.substring(1, rest.length - 1)) };
+    }
+
+    return { type, multiple: false, values: [unescape(rest)] };
+}
+
+// Splits the inside of "[...]" on unescaped commas
+function splitMultiValue(inner) {
+    if (inner === '') return [];
+
+    const values = [];
+    let current = '';
+    for (let i = 0; i < inner.length; i++) {
+        const c = inner[i];
+        if (c === '\\' && i + 1 < inner.length) {
+            current += inner[++i];
+        } else if (c === ',') {
+            values.push(current);
+            current = '';
+        } else {
+            current += c;
+        }
+    }
+    values.push(current);
+    return values;
+}
+
+function unescape(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Inverse of parseValue: the docview attribute value for a parsed value.
+ * @param {{ type: string, multiple: boolean, values: string[] }} parsed
+ * @returns {string}
+ */
+function formatValue(parsed) {
+    const prefix = parsed.type && parsed.type !== 'String' ? `{${parsed.type}}` : '';
+
+    if (parsed.multiple) {
+        const items = parsed.values.map(v => String(v).replace(/\\/g, '\\\\').replace(/,/g, '\\,'));
+        return `${prefix}[${items.join(',')}]`;
+    }
+
+    let value = String(parsed.values[0] === undefined ? '' : parsed.values[0]).replace(/\\/g, '\\\\');
+    // A leading "[" or "{" would be read back as a list or a type
+    if (value.startsWith('[') || (!prefix && value.startsWith('{'))) {
+        value = `\\${value}`;
+    }
+    return `${prefix}${value}`;
+}
+
+/**
+ * Adds a docview value to a Sling POST form so it keeps its JCR type:
+ * a "@TypeHint" for non-string types and multi-values, one field per value,
+ * and "@IgnoreBlanks" so an empty list stays an empty multi-value property.
+ * @param {FormData} form
+ * @param {string} name - The property name (may be a relative path).
+ * @param {string} raw - The docview value.
+ */
+function appendToForm(form, name, raw) {
+    const parsed = parseValue(raw);
+    // Binary values cannot be sent as form fields; they are uploaded as files
+    const type = parsed.type === 'Binary' ? 'String' : parsed.type;
+
+    if (parsed.multiple) {
+        if (parsed.values.length === 0) {
+            form.append(name, '');
+            form.append(`${name}@IgnoreBlanks`, 'true');
+        } else {
+            parsed.values.forEach(v => form.append(name, v));
+        }
+        form.append(`${name}@TypeHint`, `${type}[]`);
+        return;
+    }
+
+    form.append(name, parsed.values[0]);
+    if (type !== 'String') {
+        form.append(`${name}@TypeHint`, type);
+    }
+}
+
+/**
+ * Converts a docview value for a Sling JSON import (":operation=import"): Boolean and numbers
+ * become JSON booleans and numbers and multi-values arrays. Dates keep their docview ISO 8601
+ * form with milliseconds and offset ("2020-09-29T19:36:58.000+02:00"), which the JSON reader
+ * recognizes. Other types are imported as strings.
+ * @param {string} raw
+ * @returns {string|number|boolean|Array}
+ */
+function toJsonValue(raw) {
+    const parsed = parseValue(raw);
+    const convert = (value) => {
+        switch (parsed.type) {
+            case 'Boolean':
+                return value === 'true';
+            case 'Long':
+            case 'Double':
+            case 'Decimal': {
+                const number = Number(value);
+                return value !== '' && Number.isFinite(number) ? number : value;
+            }
+            default:
+                return value;
+        }
+    };
+
+    return parsed.multiple ? parsed.values.map(convert) : convert(parsed.values[0]);
+}
+
+module.exports = {
+    PROPERTY_TYPES,
+    parseValue,
+    formatValue,
+    appendToForm,
+    toJsonValue
+};
@@ -0,0 +1,114 @@
+const { parseValue } = require('./jcrValue');
+
+/**
+ * Conditions from the mapping report's Condition column: predicates separated by ";",
+ * all of which must hold.
+ *   fileReference                       property is set (and not empty)
+ *   !linkURL                            property is missing or empty
+ *   type=hero / type!=hero              value (any value of a multi-value property) equals / differs
+ *   linkURL^=/content                   starts with; also $= (ends with), *= (contains), ~= (regex)
+ *   @path^=/content/wknd/us             the node's source path is (under) this path
+ *   @template=/conf/wknd/.../article    the page's cq:template
+ *   @parent=wknd/components/container   the parent's sling:resourceType
+ *   @ancestor=wknd/components/tabs      any ancestor's sling:resourceType
+ *   @name=hero                          the node name
+ */
+
+const OPERATORS = ['!=', '^=', '$=', '*=', '~=', '='];
+const SUBJECTS = ['@path', '@template', '@parent', '@ancestor', '@name'];
+
+/**
+ * @param {string} text
+ * @returns {Array<{ key: string, operator: string|null, value: string|null, negate: boolean }>|null} null when empty.
+ */
+function parseCondition(text) {
+    if (!text || !text.trim()) return null;
+
+    return text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        const operator = OPERATORS
+            .map(op => ({ op, index: part.indexOf(op) }))
+            .filter(candidate => candidate.index > 0)
+            .sort((a, b) => a.index - b.index || b.op.length - a.op.length)[0];
+
+        if (!operator) {
+            const negate = part.startsWith('!');
+            const key = negate ? part.substring(1).trim() : part;
+            if (key.startsWith('@')) throw new Error(`Condition "${part}" needs a value`);
+            return { key, operator: null, value: null, negate };
+        }
+
+        const key = part.substring(0, operator.index).trim();
+        const value = part.substring(operator.index + operator.op.length).trim();
+        if (key.startsWith('@') && !SUBJECTS.includes(key)) {
+            throw new Error(`Unknown condition subject "${key}", expected one of ${SUBJECTS.join(', ')}`);
+        }
+
+        const predicate = { key, operator: operator.op, value, negate: false };
+        if (operator.op === '~=') {
+            try {
+                predicate.regex = new RegExp(value);
+            } catch (error) {
+                throw new Error(`Invalid regular expression in condition "${part}": ${error.message}`);
+            }
+        }
+        return predicate;
+    });
+}
+
+/**
+ * @param {Array|null} condition - From parseCondition; null always matches.
+ * @param {Object} subject - { properties, name, path, template, ancestorResourceTypes } where
+ *   ancestorResourceTypes lists the ancestors' resource types, the parent last.
+ * @returns {boolean}
+ */
+function matchesCondition(condition, subject) {
+    if (!condition) return true;
+    return condition.every(predicate => matchesPredicate(predicate, subject));
+}
+
+function matchesPredicate(predicate, subject) {
+    const { key, operator } = predicate;
+    const ancestors = subject.ancestorResourceTypes || [];
+
+    if (key === '@path' && operator === '^=') {
+        // Segment-safe: /content/site matches /content/site/en but not /content/site-b
+        const base = predicate.value.replace(/\/$/, '');
+        return subject.path === base || (subject.path || '').startsWith(`${base}/`);
+    }
+
+    let values;
+    if (key === '@path') values = [subject.path];
+    else if (key === '@template') values = [subject.template];
+    else if (key === '@parent') values = [ancestors[ancestors.length - 1]];
+    else if (key === '@ancestor') values = ancestors;
+    else if (key === '@name') values = [subject.name];
+    else {
+        const raw = subject.properties[key];
+        values = raw === undefined ? [] : parseValue(raw).values;
+    }
+    values = values.filter(v => v !== undefined && v !== null);
+
+    if (!operator) {
+        const isSet = values.some(v => v !== '');
+        return predicate.negate ? !isSet : isSet;
+    }
+
+    if (operator === '!=') return !values.some(v => v === predicate.value);
+    return values.some(v => compare(operator, String(v), predicate));
+}
+
+function compare(operator, value, predicate) {
+    switch (operator) {
+        case '=': return value === predicate.value;
+        case '^=': return value.startsWith(predicate.value);
+        case '$=': return value.endsWith(predicate.value);
+        case '*=': return value.includes(predicate.value);
+        case '~=': return predicate.regex.test(value);
+        default: return false;
+    }
+}
+
+module.exports = {
+    parseCondition,
+    matchesCondition
+};
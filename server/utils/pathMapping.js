@@ -0,0 +1,95 @@
+/**
+ * Path mapping rules, tried in order; the first matching rule maps a path:
+ *   /content/wknd -> /content/mysite                  prefix, segment-safe (not /content/wknd-b)
+ *   /content/wknd/(us)/(en) -> /content/mysite/$2-$1  regular expression with captures
+ * A source containing ( ) [ ] * + ? | \ { } ^ $ is a regular expression. Either kind matches
+ * the start of the path up to a segment boundary; the rest of the path is kept.
+ */
+
+const REGEX_CHARS = /[()[\]*+?|\\{}^$]/;
+
+/**
+ * @param {string} source
+ * @param {string} target
+ * @param {string} origin - Where the rule comes from, e.g. "mapping report line 4" or "sourceRoot".
+ * @returns {{ source: string, target: string, origin: string, regex: RegExp, isRegex: boolean }}
+ */
+function parsePathRule(source, target, origin) {
+    const trimmedSource = source.trim().replace(/(.)\/$/, '$1');
+    const trimmedTarget = target.trim().replace(/(.)\/$/, '$1');
+    if (!trimmedSource.startsWith('/') && !trimmedSource.startsWith('^/')) {
+        throw new Error(`Path mapping source "${source}" must be an absolute path`);
+    }
+
+    const isRegex = REGEX_CHARS.test(trimmedSource);
+    let pattern;
+    if (isRegex) {
+        pattern = trimmedSource.replace(/^\^/, '').replace(/\$$/, '');
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid regular expression in path mapping "${source}": ${error.message}`);
+        }
+    } else {
+        pattern = trimmedSource.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    return {
+        source: trimmedSource,
+        target: trimmedTarget,
+        origin,
+        regex: new RegExp(`^(?:${pattern})(?=/|$)`),
+        isRegex
+    };
+}
+
+/**
+ * The rules of a run, in the order they are tried: Path rows of the mapping report, then
+ * targetConfig.pathMappings, then the older single-root settings (DAM roots before sourceRoot,
+ * as they usually sit below it).
+ * @param {Object} config - Target configuration.
+ * @param {Array<Object>} [reportRules] - Parsed Path rows.
+ * @returns {Array<Object>}
+ */
+function buildPathRules(config, reportRules = []) {
+    const rules = [...reportRules];
+
+    // [{ "source": "/content/old", "target": "/content/new" }, ...] or { "/content/old": "/content/new" }
+    const configured = Array.isArray(config.pathMappings)
+        ? config.pathMappings.map(mapping => [mapping.source, mapping.target])
+        : Object.entries(config.pathMappings || {});
+    configured.forEach(([source, target], index) => {
+        rules.push(parsePathRule(source, target, `pathMappings[${index}]`));
+    });
+
+    if (config.damSourceRoot && config.damTargetRoot) {
+        rules.push(parsePathRule(config.damSourceRoot, config.damTargetRoot, 'damSourceRoot'));
+    }
+    Object.keys(config.damPathMap || {})
+        .sort((a, b) => b.length - a.length)
+        .forEach(source => rules.push(parsePathRule(source, config.damPathMap[source], 'damPathMap')));
+    if (config.sourceRoot && config.targetRoot) {
+        rules.push(parsePathRule(config.sourceRoot, config.targetRoot, 'sourceRoot'));
+    }
+
+    return rules;
+}
+
+/**
+ * @param {Array<Object>} rules - From buildPathRules.
+ * @param {string} jcrPath
+ * @returns {{ path: string, rule: Object|null }} The path unchanged (and no rule) when none matches.
+ */
+function mapPath(rules, jcrPath) {
+    const rule = rules.find(candidate => candidate.regex.test(jcrPath));
+    if (!rule) return { path: jcrPath, rule: null };
+    // Only regular expression targets have $1 style references; prefix targets are taken as written
+    const replacement = rule.isRegex ? rule.target : () => rule.target;
+    return { path: jcrPath.replace(rule.regex, replacement), rule };
+}
+
+module.exports = {
+    parsePathRule,
+    buildPathRules,
+    mapPath
+};
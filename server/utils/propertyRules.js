@@ -0,0 +1,260 @@
+const { parseValue, formatValue } = require('./jcrValue');
+
+/**
+ * Property rules from the mapping report's Properties column, separated by ";":
+ *   sitelogo=logo                       rename
+ *   align=alignment|map(left:start,right:end,*:start)
+ *   title=jcr:title|replace(/\s+/g,-)|lower
+ *   =variant|const(primary)             set a constant (no source)
+ *   hideTitle=hideTitle|default({Boolean}false)
+ *   legacyFlag|drop                     remove the property
+ *   name=firstName+lastName|split( )    one property into several
+ *   street+city=address|join(, )        several properties into one
+ *   text|richtext                       apply the RTE rules to an HTML property (kept in place)
+ * Arguments are separated by "," and "\" escapes a literal ",", ")", "|" or ";".
+ */
+
+// Operations applied to every single value
+const VALUE_OPERATIONS = {
+    lower: () => (value) => value.toLowerCase(),
+    upper: () => (value) => value.toUpperCase(),
+    capitalize: () => (value) => value.charAt(0).toUpperCase() + value.slice(1),
+    replace: (args) => {
+        const regex = toRegExp(args[0]);
+        const replacement = args[1] === undefined ? '' : unescape(args[1]);
+        return (value) => value.replace(regex, replacement);
+    },
+    map: (args) => {
+        const table = new Map();
+        args.forEach(arg => {
+            const separator = arg.search(/(?<!\\):/);
+            if (separator < 0) throw new Error(`Invalid map entry "${arg}", expected from:to`);
+            table.set(unescape(arg.substring(0, separator)), unescape(arg.substring(separator + 1)));
+        });
+        return (value) => table.has(value) ? table.get(value) : (table.has('*') ? table.get('*') : value);
+    }
+};
+
+// Operations working on the whole list of values read from the sources
+const LIST_OPERATIONS = ['const', 'default', 'drop', 'split', 'join', 'richtext'];
+
+/**
+ * @param {string} text - The Properties column.
+ * @returns {Array<{ sources: string[], targets: string[], operations: Array<{ name: string, args: string[] }>, drop: boolean, text: string }>}
+ */
+function parsePropertyRules(text) {
+    if (!text) return [];
+
+    return splitUnescaped(text, ';')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(parseRule);
+}
+
+function parseRule(text) {
+    const [head, ...operationTexts] = splitUnescaped(text, '|');
+    const separator = head.indexOf('=');
+    const sourcePart = separator < 0 ? head : head.substring(0, separator);
+    const targetPart = separator < 0 ? '' : head.substring(separator + 1);
+
+    const rule = {
+        sources: splitNames(sourcePart),
+        targets: splitNames(targetPart),
+        operations: operationTexts.map(op => parseOperation(op.trim(), text)),
+        text
+    };
+    rule.drop = rule.operations.some(op => op.name === 'drop');
+
+    if (rule.sources.length === 0 && !rule.operations.some(op => op.name === 'const' || op.name === 'default')) {
+        throw new Error(`Property rule "${text}" has no source; use const() or default() to set a value`);
+    }
+    // A rich text flag alone transforms the property in place
+    if (rule.targets.length === 0 && rule.operations.some(op => op.name === 'richtext')) {
+        rule.targets = [...rule.sources];
+    }
+    if (rule.targets.length === 0 && !rule.drop) {
+        throw new Error(`Property rule "${text}" has no target; use drop to remove a property`);
+    }
+
+    // Compiled once per rule rather than once per node
+    rule.operations.forEach(op => {
+        if (VALUE_OPERATIONS[op.name]) op.apply = VALUE_OPERATIONS[op.name](op.args);
+    });
+
+    return rule;
+}
+
+function splitNames(text) {
+    return text.split('+').map(name => name.trim()).filter(Boolean);
+}
+
+function parseOperation(text, ruleText) {
+    const match = text.match(/^([a-zA-Z]+)(?:\(([\s\S]*)\))?$/);
+    if (!match) throw new Error(`Invalid operation "${text}" in property rule "${ruleText}"`);
+
+    const name = match[1];
+    if (!VALUE_OPERATIONS[name] && !LIST_OPERATIONS.includes(name)) {
+        throw new Error(`Unknown operation "${name}" in property rule "${ruleText}"`);
+    }
+
+    const args = match[2] === undefined ? [] : splitUnescaped(match[2], ',');
+    return { name, args };
+}
+
+// Splits on a separator that is neither escaped nor inside parentheses; escapes are kept
+function splitUnescaped(text, separator) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+            current += c + text[++i];
+            continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && depth > 0) depth--;
+
+        if (c === separator && (depth === 0 || separator === ',')) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += c;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+function unescape(text) {
+    return text.replace(/\\([,)|;:\\])/g, '$1');
+}
+
+// "/pattern/flags" or a plain string matched literally (all occurrences)
+function toRegExp(arg) {
+    const match = (arg || '').match(/^\/([\s\S]*)\/([a-z]*)$/);
+    if (match) return new RegExp(match[1], match[2]);
+    return new RegExp(unescape(arg || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+}
+
+/**
+ * Applies rules to a flat property map. Rules read from the original properties,
+ * so they can swap or reuse values; sources not written back are removed (rename).
+ * @param {Object} properties - Property name -> docview value (e.g. "{Boolean}true").
+ * @param {Array} rules - From parsePropertyRules.
+ * @param {Object} [options] - { richText(html) -> html } used by the richtext operation.
+ * @returns {{ properties: Object, applied: Array<{ rule: string, sources: Object, targets: Object, removed: string[] }> }}
+ */
+function applyPropertyRules(properties, rules, options = {}) {
+    if (!rules || rules.length === 0) return { properties, applied: [] };
+
+    const written = {};
+    const consumed = new Set();
+    const applied = [];
+
+    for (const rule of rules) {
+        const present = rule.sources.filter(source => properties[source] !== undefined);
+        // A rule whose sources are all missing only fires through const()/default()
+        if (rule.sources.length > 0 && present.length === 0 &&
+            !rule.operations.some(op => op.name === 'const' || op.name === 'default')) {
+            continue;
+        }
+
+        let items = present.map(source => parseValue(properties[source]));
+        for (const op of rule.operations) {
+            items = applyOperation(op, items, options);
+        }
+
+        present.forEach(source => consumed.add(source));
+        const targets = {};
+        const positional = rule.operations.some(op => op.name === 'split');
+        if (!rule.drop && items.length > 0) {
+            rule.targets.forEach((target, index) => {
+                let item;
+                if (rule.targets.length === 1) {
+                    // Several values into one property without join(): concatenated as-is
+                    item = items.length === 1 ? items[0] : joinItems(items, '');
+                } else {
+                    // One value per target after split(), or the same value copied to each
+                    item = positional || items.length > 1 ? items[index] : items[0];
+                }
+                if (item) targets[target] = formatValue(item);
+            });
+        }
+        Object.assign(written, targets);
+
+        const sources = {};
+        present.forEach(source => { sources[source] = properties[source]; });
+        applied.push({ rule: rule.text, sources, targets, removed: [] });
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(properties)) {
+        if (consumed.has(key) && !(key in written)) continue;
+        result[key] = key in written ? written[key] : value;
+    }
+    for (const [key, value] of Object.entries(written)) {
+        if (!(key in result)) result[key] = value;
+    }
+
+    applied.forEach(entry => {
+        entry.removed = Object.keys(entry.sources).filter(source => !(source in result));
+    });
+
+    return { properties: result, applied };
+}
+
+function applyOperation(op, items, options) {
+    switch (op.name) {
+        case 'const':
+            return [parseValue(unescape(op.args.join(',')))];
+        case 'default': {
+            const isEmpty = items.every(item => item.values.every(v => v === ''));
+            return isEmpty ? [parseValue(unescape(op.args.join(',')))] : items;
+        }
+        case 'drop':
+            return [];
+        case 'split': {
+            const separator = op.args.length ? unescape(op.args.join(',')) : ',';
+            const parts = [];
+            items.forEach(item => {
+                // A multi-value property splits into its values
+                const values = item.multiple ? item.values : item.values[0].split(separator);
+                values.forEach(v => parts.push({ type: item.type, multiple: false, values: [v] }));
+            });
+            return parts;
+        }
+        case 'richtext':
+            if (!options.richText) return items;
+            return items.map(item => ({ ...item, values: item.values.map(v => options.richText(v)) }));
+        case 'join':
+            return items.length ? [joinItems(items, op.args.length ? unescape(op.args.join(',')) : '')] : items;
+        default:
+            // Value operations keep the JCR type and multi-value flag
+            return items.map(item => ({ ...item, values: item.values.map(v => op.apply(v)) }));
+    }
+}
+
+function joinItems(items, separator) {
+    const values = [];
+    items.forEach(item => values.push(...item.values));
+    return { type: 'String', multiple: false, values: [values.join(separator)] };
+}
+
+/**
+ * Normalizes the property mappings accepted by the services: parsed rules,
+ * a Properties column string, or a legacy { source: target } object.
+ */
+function toPropertyRules(mappings) {
+    if (!mappings) return [];
+    if (Array.isArray(mappings)) return mappings;
+    if (typeof mappings === 'string') return parsePropertyRules(mappings);
+    return Object.entries(mappings).map(([source, target]) => parseRule(`${source}=${target}`));
+}
+
+module.exports = {
+    parsePropertyRules,
+    applyPropertyRules,
+    toPropertyRules
+};
@@ -0,0 +1,50 @@
+const isNode = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Accepted by axios as a response, so the listed renditions can be read
+const acceptMultipleChoices = (status) => (status >= 200 && status < 300) || status === 300;
+
+/**
+ * Reads the Sling JSON rendition of a node to a depth. When that rendition exceeds the Sling
+ * result limit, Sling answers 300 Multiple Choices with the renditions it can serve, deepest first
+ * (e.g. ["/content/site/page.2.json", "/content/site/page.1.json"]). The deepest one is read then,
+ * and the nodes on its last level are read one by one for the levels below.
+ * @param {function(string, number): Promise<Object>} get - Fetches a node path at a depth and
+ *   resolves to the axios response, 300 included (see acceptMultipleChoices).
+ * @param {string} nodePath
+ * @param {number} depth
+ * @returns {Promise<Object>}
+ */
+async function readNodeJson(get, nodePath, depth) {
+    const response = await get(nodePath, depth);
+    if (response.status !== 300) return response.data;
+
+    const listed = Array.isArray(response.data) ? response.data : [];
+    const match = typeof listed[0] === 'string' ? listed[0].match(/\.(\d+)\.json$/) : null;
+    const served = Math.max(0, Math.min(match ? Number(match[1]) : 0, depth - 1));
+    const partial = await get(nodePath, served);
+    if (partial.status === 300) {
+        throw new Error(`Sling cannot render ${nodePath} at depth ${served}`);
+    }
+
+    // A depth 0 rendition does not name the children; properties are all there is then
+    if (served === 0) return partial.data;
+
+    const complete = async (node, parentPath, level) => {
+        for (const [name, child] of Object.entries(node)) {
+            if (!isNode(child)) continue;
+            const childPath = `${parentPath}/${name}`;
+            if (level + 1 === served) {
+                node[name] = await readNodeJson(get, childPath, depth - served);
+            } else {
+                await complete(child, childPath, level + 1);
+            }
+        }
+    };
+    await complete(partial.data, nodePath, 0);
+    return partial.data;
+}
+
+module.exports = {
+    readNodeJson,
+    acceptMultipleChoices
+};
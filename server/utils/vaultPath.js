@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+// Access control lists and closed user groups: protected nodes a content package install
+// creates, but a Sling POST cannot
+const ACCESS_CONTROL_POLICIES = ['_rep_policy.xml', '_rep_cugPolicy.xml', '_rep_repoPolicy.xml'];
+
+// Characters FileVault cannot store in file names; written as %xx (lowercase hex, like FileVault)
+const ESCAPED_CHARS = ['%', '\\', '/', ':', '*', '?', '"', '<', '>', '|'];
+
+const escapeChar = (c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`;
+
+/**
+ * Decodes a FileVault platform (file system) name into a JCR node name:
+ *   _jcr_content -> jcr:content, _cq_dialog -> cq:dialog, __foo_bar -> _foo_bar, a%3fb -> a?b
+ * @param {string} platformName
+ * @returns {string}
+ */
+function decodeName(platformName) {
+    let name = platformName;
+
+    if (name.startsWith('__')) {
+        // Escaped leading underscore, not a namespace prefix
+        name = name.substring(1);
+    } else if (name.startsWith('_')) {
+        const separator = name.indexOf('_', 1);
+        if (separator > 1) {
+            name = `${name.substring(1, separator)}:${name.substring(separator + 1)}`;
+        }
+    }
+
+    return name.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Encodes a JCR node name into its FileVault platform name (inverse of decodeName).
+ * @param {string} jcrName
+ * @returns {string}
+ */
+function encodeName(jcrName) {
+    const colon = jcrName.indexOf(':');
+    const escape = (s) => s.split('').map(c => ESCAPED_CHARS.includes(c) ? escapeChar(c) : c).join('');
+
+    if (colon > 0) {
+        return `_${escape(jcrName.substring(0, colon))}_${escape(jcrName.substring(colon + 1))}`;
+    }
+
+    const escaped = escape(jcrName);
+    // A literal "_foo_bar" would otherwise decode as "foo:bar"
+    if (jcrName.startsWith('_') && jcrName.indexOf('_', 1) > 1) {
+        return `_${escaped}`;
+    }
+    return escaped;
+}
+
+/**
+ * Decodes an element name of a docview .content.xml. Names that are not valid XML
+ * (e.g. starting with a digit) are written ISO 9075 style: _x0031_23 -> 123
+ * @param {string} xmlName
+ * @returns {string}
+ */
+function decodeXmlName(xmlName) {
+    return xmlName.replace(/_x([0-9a-fA-F]{4})_/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Encodes a JCR name for use as a docview element name (inverse of decodeXmlName).
+ * @param {string} jcrName
+ * @returns {string}
+ */
+function encodeXmlName(jcrName) {
+    const hex = (c) => `_x${c.charCodeAt(0).toString(16).padStart(4, '0')}_`;
+
+    return jcrName.split('').map((c, i) => {
+        const valid = i === 0 ? /[\p{L}_:]/u.test(c) : /[\p{L}\p{N}_:.-]/u.test(c);
+        // A literal "_x0031_" must not be read back as an escape
+        const escapeLike = c === '_' && /^_x[0-9a-fA-F]{4}_/.test(jcrName.substring(i));
+        return valid && !escapeLike ? c : hex(c);
+    }).join('');
+}
+
+/**
+ * Converts a path relative to jcr_root (either separator) into an absolute JCR path.
+ * @param {string} relativeFsPath - e.g. "content\\site\\_jcr_content" or "content/site/_jcr_content"
+ * @returns {string} e.g. "/content/site/jcr:content"; "/" for jcr_root itself.
+ */
+function toJcrPath(relativeFsPath) {
+    const segments = relativeFsPath.split(/[\\/]+/).filter(Boolean);
+    return `/${segments.map(decodeName).join('/')}`;
+}
+
+/**
+ * Converts an absolute JCR path into a path below jcr_root, always with forward slashes.
+ * @param {string} jcrPath - e.g. "/content/site/jcr:content"
+ * @returns {string} e.g. "/content/site/_jcr_content"; "" for the root.
+ */
+function toFsPath(jcrPath) {
+    const segments = jcrPath.split('/').filter(Boolean);
+    return segments.map(segment => `/${encodeName(segment)}`).join('');
+}
+
+/**
+ * JCR path of a file or directory inside an extracted jcr_root.
+ * @param {string} jcrRoot - Absolute path of the jcr_root directory.
+ * @param {string} fsPath - Absolute path below it.
+ * @returns {string}
+ */
+function jcrPathOf(jcrRoot, fsPath) {
+    return toJcrPath(path.relative(jcrRoot, fsPath));
+}
+
+/**
+ * Whether a <name>.xml file is a serialized node (full coverage aggregate such as
+ * _rep_cugPolicy.xml) rather than a binary: it has a jcr:root element.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isSerializedNode(filePath) {
+    if (!filePath.endsWith('.xml')) return false;
+    const xmlContent = await fs.promises.readFile(filePath, 'utf8');
+    return /<jcr:root\b/.test(xmlContent);
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean} Whether the file is a rep:policy, rep:cugPolicy or rep:repoPolicy aggregate.
+ */
+function isAccessControlPolicy(filePath) {
+    return ACCESS_CONTROL_POLICIES.includes(path.basename(filePath));
+}
+
+module.exports = {
+    decodeName,
+    encodeName,
+    decodeXmlName,
+    encodeXmlName,
+    toJcrPath,
+    toFsPath,
+    jcrPathOf,
+    isSerializedNode,
+    isAccessControlPolicy
+};